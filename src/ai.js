@@ -1,31 +1,23 @@
 /**
- * AI module — analysis and generation via OpenAI gpt-4o-mini.
+ * AI module — analysis and generation prompts.
+ * Which provider/model runs each prompt is decided by llm.js from settings.ai;
+ * every function takes an optional `ai` argument with the topic's overrides.
+ * Generation prompts also carry the account's voice profile (voice.js), if any.
  */
-import OpenAI from 'openai'
+import { complete } from './llm.js'
 import { toneInstruction } from './tones.js'
+import { voiceInstruction } from './voice.js'
+import { isKnownLanguage, languageName } from './language.js'
 import logger from './logger.js'
 
-let client = null
-
-function getClient() {
-  if (!client) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('Missing OPENAI_API_KEY in .env')
-    }
-    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
-  }
-  return client
-}
-
-const MODEL = 'gpt-4o-mini'
-
 /**
  * Analyze a batch of tweets and return structured insights.
  * @param {object[]} tweets - Normalized tweet objects
  * @param {string} topic    - The topic/subject context
+ * @param {object} [ai]     - Per-topic model overrides (topic.ai)
  * @returns {{ summary, topEngagementTweet, themes, sentiment }}
  */
-export async function analyzeTweets(tweets, topic) {
+export async function analyzeTweets(tweets, topic, ai = null) {
   if (!tweets.length) return { summary: 'No tweets found', topEngagementTweet: null, themes: [], sentiment: 'neutral' }
 
   const tweetList = tweets
@@ -48,14 +40,7 @@ Respond with valid JSON in this exact shape:
 }`
 
   try {
-    const res = await getClient().chat.completions.create({
-      model: MODEL,
-      messages: [{ role: 'user', content: prompt }],
-      response_format: { type: 'json_object' },
-      temperature: 0.3,
-    })
-
-    const parsed = JSON.parse(res.choices[0].message.content)
+    const parsed = await complete('analysis', prompt, { json: true, overrides: ai })
     const idx = parsed.bestTweetIndex ? parsed.bestTweetIndex - 1 : null
     return {
       summary: parsed.summary,
@@ -77,14 +62,17 @@ Respond with valid JSON in this exact shape:
  * @param {string}   style    - Base writing style from config
  * @param {string[]} avoid    - Topics/phrases to avoid
  * @param {string}   [tone]   - Tone override (from tones.js) — takes priority over style
+ * @param {object}   [ai]     - Per-topic model overrides (topic.ai)
+ * @param {string}   [lang]   - Language to write in (topic.languages[0])
  */
-export async function generateTweet(subject, themes = [], style = '', avoid = [], tone = null) {
+export async function generateTweet(subject, themes = [], style = '', avoid = [], tone = null, ai = null, lang = null) {
   const themeContext = themes.length ? `\nTrending themes right now: ${themes.join(', ')}` : ''
   const avoidNote   = avoid.length  ? `\nDo NOT mention or reference: ${avoid.join(', ')}` : ''
   const styleNote   = !tone && style ? `\nWriting style: ${style}` : ''
   const toneNote    = toneInstruction(tone)
+  const voiceNote   = voiceInstruction('post')
 
-  const prompt = `Write a single original tweet about: "${subject}"${themeContext}${styleNote}${toneNote}${avoidNote}
+  const prompt = `Write a single original tweet about: "${subject}"${themeContext}${styleNote}${toneNote}${avoidNote}${voiceNote}${languageNote(lang)}
 
 Rules:
 - Max 280 characters
@@ -95,12 +83,7 @@ Rules:
 - Return ONLY the tweet text, nothing else`
 
   try {
-    const res = await getClient().chat.completions.create({
-      model: MODEL,
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.85,
-    })
-    const text = res.choices[0].message.content.trim().replace(/^["']|["']$/g, '')
+    const text = cleanText(await complete('tweet', prompt, { overrides: ai }))
     logger.info(`AI: generated tweet (${text.length} chars)${tone ? ` [tone: ${tone}]` : ''}`)
     return text
   } catch (err) {
@@ -109,21 +92,69 @@ Rules:
   }
 }
 
+/**
+ * Generate a multi-tweet thread on a subject.
+ * @param {string}   subject  - The topic/subject of the thread
+ * @param {number}   parts    - Number of tweets in the thread
+ * @param {string[]} themes   - Current trending themes (from recent analysis)
+ * @param {string}   style    - Base writing style from config
+ * @param {string[]} avoid    - Topics/phrases to avoid
+ * @param {string}   [tone]   - Tone override (from tones.js) — takes priority over style
+ * @param {object}   [ai]     - Per-topic model overrides (topic.ai)
+ * @param {string}   [lang]   - Language to write in (topic.languages[0])
+ * @returns {Promise<string[]|null>} one string per tweet, in posting order
+ */
+export async function generateThread(subject, parts = 4, themes = [], style = '', avoid = [], tone = null, ai = null, lang = null) {
+  const themeContext = themes.length ? `\nTrending themes right now: ${themes.join(', ')}` : ''
+  const avoidNote   = avoid.length  ? `\nDo NOT mention or reference: ${avoid.join(', ')}` : ''
+  const styleNote   = !tone && style ? `\nWriting style: ${style}` : ''
+  const toneNote    = toneInstruction(tone)
+  const voiceNote   = voiceInstruction('post')
+
+  const prompt = `Write a ${parts}-part X thread about: "${subject}"${themeContext}${styleNote}${toneNote}${avoidNote}${voiceNote}${languageNote(lang)}
+
+Rules:
+- Exactly ${parts} tweets, each max 280 characters
+- The first tweet must hook the reader and stand on its own
+- Each tweet should add one new idea — no filler, no repetition
+- The last tweet lands the point (a takeaway or a question), not a "follow me" plug
+- No "1/", "🧵" or other numbering — it is added when posting if needed
+- No hashtags unless they add real value (max 2 in the whole thread)
+- Sound like a real, thoughtful person — not a bot
+
+Respond with valid JSON in this exact shape:
+{ "tweets": ["<tweet 1>", "<tweet 2>", ...] }`
+
+  try {
+    const parsed = await complete('thread', prompt, { json: true, overrides: ai })
+    const tweets = (parsed.tweets ?? []).map(t => String(t).trim()).filter(Boolean)
+    if (!tweets.length) throw new Error('model returned no tweets')
+    logger.info(`AI: generated ${tweets.length}-part thread${tone ? ` [tone: ${tone}]` : ''}`)
+    return tweets
+  } catch (err) {
+    logger.error('AI: generateThread failed:', err.message)
+    return null
+  }
+}
+
 /**
  * Generate a reply to a tweet.
  * @param {object} tweet  - The tweet to reply to
  * @param {string} topic  - Context topic
  * @param {string} style  - Base writing style
  * @param {string} [tone] - Tone override
+ * @param {object} [ai]   - Per-topic model overrides (topic.ai)
+ * @param {object} [conversation] - From getConversation: parents and top replies
  */
-export async function generateReply(tweet, topic, style = '', tone = null) {
+export async function generateReply(tweet, topic, style = '', tone = null, ai = null, conversation = null) {
   const styleNote = !tone && style ? `\nWriting style: ${style}` : ''
   const toneNote  = toneInstruction(tone)
+  const voiceNote = voiceInstruction('reply')
 
-  const prompt = `You are replying to this tweet by @${tweet.author}:
+  const prompt = `${parentsNote(conversation)}You are replying to this tweet by @${tweet.author}:
 "${tweet.text}"
-
-Topic context: ${topic}${styleNote}${toneNote}
+${repliesNote(conversation)}
+Topic context: ${topic}${styleNote}${toneNote}${voiceNote}${languageNote(tweet.lang, true)}
 
 Write a reply that:
 - Directly engages with what they said
@@ -133,12 +164,7 @@ Write a reply that:
 - Return ONLY the reply text`
 
   try {
-    const res = await getClient().chat.completions.create({
-      model: MODEL,
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.8,
-    })
-    const text = res.choices[0].message.content.trim().replace(/^["']|["']$/g, '')
+    const text = cleanText(await complete('reply', prompt, { overrides: ai }))
     logger.info(`AI: generated reply (${text.length} chars)${tone ? ` [tone: ${tone}]` : ''}`)
     return text
   } catch (err) {
@@ -153,15 +179,18 @@ Write a reply that:
  * @param {string} topic  - Context topic
  * @param {string} style  - Base writing style
  * @param {string} [tone] - Tone override
+ * @param {object} [ai]   - Per-topic model overrides (topic.ai)
+ * @param {object} [conversation] - From getConversation: parents and top replies
  */
-export async function generateQuoteComment(tweet, topic, style = '', tone = null) {
+export async function generateQuoteComment(tweet, topic, style = '', tone = null, ai = null, conversation = null) {
   const styleNote = !tone && style ? `\nWriting style: ${style}` : ''
   const toneNote  = toneInstruction(tone)
+  const voiceNote = voiceInstruction('post')
 
-  const prompt = `You are quote-tweeting this post by @${tweet.author}:
+  const prompt = `${parentsNote(conversation)}You are quote-tweeting this post by @${tweet.author}:
 "${tweet.text}"
-
-Topic context: ${topic}${styleNote}${toneNote}
+${repliesNote(conversation)}
+Topic context: ${topic}${styleNote}${toneNote}${voiceNote}${languageNote(tweet.lang, true)}
 
 Write a quote-tweet comment that:
 - Adds your perspective or expands on their point
@@ -170,12 +199,7 @@ Write a quote-tweet comment that:
 - Return ONLY the comment text`
 
   try {
-    const res = await getClient().chat.completions.create({
-      model: MODEL,
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.8,
-    })
-    const text = res.choices[0].message.content.trim().replace(/^["']|["']$/g, '')
+    const text = cleanText(await complete('quote', prompt, { overrides: ai }))
     logger.info(`AI: generated quote comment (${text.length} chars)${tone ? ` [tone: ${tone}]` : ''}`)
     return text
   } catch (err) {
@@ -183,3 +207,189 @@ Write a quote-tweet comment that:
     return null
   }
 }
+
+const MENTION_CATEGORIES = ['question', 'praise', 'criticism', 'spam', 'other']
+
+/**
+ * Sort mentions of our account into question / praise / criticism / spam / other
+ * and judge which ones deserve a reply.
+ * @param {object[]} mentions - Normalized tweet objects
+ * @param {object}   [ai]     - Model overrides, same shape as topic.ai
+ * @returns {Promise<{ category: string, reply: boolean, reason: string }[]|null>}
+ *          one entry per mention, in order — null if the model call failed
+ */
+export async function triageMentions(mentions, ai = null) {
+  const list = mentions
+    .map((m, i) => `[${i + 1}] @${m.author}${m.isReply ? ' (replying to us)' : ' (mentioning us)'}: "${m.text}"`)
+    .join('\n')
+
+  const prompt = `These tweets are directed at our X account:
+${list}
+
+Classify each one:
+- question: asks us something we can answer
+- praise: thanks, agreement, compliments
+- criticism: disagrees, points out a mistake or complains — even when rude
+- spam: promotion, scams, bots, "DM me", unrelated links
+- other: anything else
+
+Set "reply" to true when a thoughtful reply from us would be worth posting — never for spam.
+
+Respond with valid JSON in this exact shape:
+{ "mentions": [ { "index": <1-based index>, "category": "question|praise|criticism|spam|other", "reply": true|false, "reason": "<one short sentence>" } ] }`
+
+  try {
+    const parsed = await complete('analysis', prompt, { json: true, overrides: ai })
+    const byIndex = new Map((parsed.mentions ?? []).map(m => [Number(m.index), m]))
+    return mentions.map((_, i) => {
+      const m = byIndex.get(i + 1) ?? {}
+      const category = MENTION_CATEGORIES.includes(m.category) ? m.category : 'other'
+      return { category, reply: category !== 'spam' && !!m.reply, reason: m.reason ?? '' }
+    })
+  } catch (err) {
+    logger.error('AI: triageMentions failed:', err.message)
+    return null
+  }
+}
+
+/**
+ * Generate a reply to someone who replied to or mentioned us.
+ * @param {object} tweet    - The mention
+ * @param {string} category - question | praise | criticism | other (from triageMentions)
+ * @param {string} style    - Base writing style
+ * @param {string} [tone]   - Tone override
+ * @param {object} [ai]     - Per-topic model overrides (topic.ai)
+ * @param {object} [conversation] - From getConversation: parents and top replies
+ */
+export async function generateMentionReply(tweet, category, style = '', tone = null, ai = null, conversation = null) {
+  const styleNote = !tone && style ? `\nWriting style: ${style}` : ''
+  const toneNote  = toneInstruction(tone)
+  const voiceNote = voiceInstruction('reply')
+  const approach  = {
+    question:  'Answer the question directly and honestly. If you don\'t know, say so — never make things up',
+    praise:    'Thank them briefly and genuinely, ideally adding one small thought — not just "thanks!"',
+    criticism: 'Engage with the substance of the criticism. Concede what is fair, explain calmly where you disagree. Never defensive or sarcastic',
+  }[category] ?? 'Respond to what they actually said'
+
+  const prompt = `${parentsNote(conversation)}@${tweet.author} ${tweet.isReply ? 'replied to your tweet' : 'mentioned you'}:
+"${tweet.text}"
+${repliesNote(conversation)}${styleNote}${toneNote}${voiceNote}${languageNote(tweet.lang, true)}
+
+Write a reply that:
+- ${approach}
+- Sounds like the person they were talking to, not a brand account
+- Max 280 characters
+- No hashtags
+- Return ONLY the reply text`
+
+  try {
+    const text = cleanText(await complete('reply', prompt, { overrides: ai }))
+    logger.info(`AI: generated ${category} mention reply (${text.length} chars)${tone ? ` [tone: ${tone}]` : ''}`)
+    return text
+  } catch (err) {
+    logger.error('AI: generateMentionReply failed:', err.message)
+    return null
+  }
+}
+
+/**
+ * Merge several candidate drafts of one action into a single text.
+ * @param {string[]} texts         - The candidates to combine
+ * @param {'tweet'|'reply'|'quote'} type
+ * @param {object}   [targetTweet] - For reply/quote: the original tweet
+ * @param {string}   [style]       - Base writing style
+ * @param {string}   [tone]        - Tone override
+ * @param {object}   [ai]          - Per-topic model overrides (topic.ai)
+ */
+export async function mergeCandidates(texts, type, targetTweet = null, style = '', tone = null, ai = null) {
+  const what      = { tweet: 'tweet', reply: 'reply', quote: 'quote-tweet comment' }[type] ?? type
+  const target    = targetTweet ? `\nIt responds to this tweet by @${targetTweet.author}:\n"${targetTweet.text}"\n` : ''
+  const styleNote = !tone && style ? `\nWriting style: ${style}` : ''
+  const toneNote  = toneInstruction(tone)
+  const voiceNote = voiceInstruction(type === 'reply' ? 'reply' : 'post')
+  const drafts    = texts.map((t, i) => `[${i + 1}] "${t}"`).join('\n')
+
+  const prompt = `Here are ${texts.length} drafts of the same ${what}:
+${drafts}
+${target}${styleNote}${toneNote}${voiceNote}
+
+Combine them into one ${what} that:
+- Keeps the strongest idea and the best lines from each
+- Reads as one piece, not a list of the drafts
+- Is written in the same language as the drafts
+- Max ${type === 'quote' ? 240 : 280} characters
+- Return ONLY the text`
+
+  try {
+    const text = cleanText(await complete(type, prompt, { overrides: ai }))
+    logger.info(`AI: merged ${texts.length} ${type} candidates (${text.length} chars)`)
+    return text
+  } catch (err) {
+    logger.error('AI: mergeCandidates failed:', err.message)
+    return null
+  }
+}
+
+/**
+ * Translate texts for a reviewer who doesn't read their language.
+ * @param {string[]} texts
+ * @param {string}   to   - Language code, e.g. "en"
+ * @param {object}   [ai] - Per-topic model overrides (topic.ai)
+ * @returns {Promise<string[]|null>} one translation per text, null if the call failed
+ */
+export async function translateTexts(texts, to, ai = null) {
+  const list = texts.map((t, i) => `[${i + 1}] "${t}"`).join('\n')
+
+  const prompt = `Translate each of these ${texts.length} texts into ${languageName(to)} for a reviewer who doesn't speak the original language.
+Stay as close to the original as possible — meaning, tone, slang and rough edges included. Don't soften or improve anything.
+Leave @handles, #hashtags, $cashtags and links as they are.
+
+${list}
+
+Respond with valid JSON in this exact shape:
+{ "translations": ["<translation of 1>", "<translation of 2>", ...] }`
+
+  try {
+    const parsed = await complete('analysis', prompt, { json: true, overrides: ai })
+    const out = (parsed.translations ?? []).map(t => String(t).trim())
+    if (out.length !== texts.length) throw new Error(`expected ${texts.length} translations, got ${out.length}`)
+    logger.info(`AI: back-translated ${texts.length} text(s) into ${to}`)
+    return out
+  } catch (err) {
+    logger.error('AI: translateTexts failed:', err.message)
+    return null
+  }
+}
+
+// Which language to write in: the target tweet's for replies and quotes,
+// the topic's for original posts. Nothing when it isn't known.
+function languageNote(lang, responding = false) {
+  if (!isKnownLanguage(lang)) return ''
+  return responding
+    ? `\nLanguage: write in ${languageName(lang)} — the language of the tweet you are responding to.`
+    : `\nLanguage: write in ${languageName(lang)}.`
+}
+
+// The thread above the target tweet, oldest first
+function parentsNote(conversation) {
+  if (!conversation?.parents?.length) return ''
+  const lines = conversation.parents.map(t => `@${t.author}: "${oneLine(t.text)}"`).join('\n')
+  return `Earlier in the thread (oldest first):\n${lines}\n\n`
+}
+
+// Replies others already posted under it, so ours says something new
+function repliesNote(conversation) {
+  if (!conversation?.replies?.length) return ''
+  const lines = conversation.replies.map(t => `- @${t.author} (${t.likes}❤️): "${oneLine(t.text)}"`).join('\n')
+  return `\nReplies already posted under it (most liked first):\n${lines}\n` +
+    `Don't repeat a point these replies already make — especially the most-liked one. Add something they don't.\n`
+}
+
+function oneLine(text) {
+  return text.replace(/\s+/g, ' ').trim()
+}
+
+// Strip whitespace and the quotes models like to wrap single tweets in
+function cleanText(raw) {
+  return raw.trim().replace(/^["']|["']$/g, '')
+}
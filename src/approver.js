@@ -1,10 +1,17 @@
 /**
  * Human-in-the-loop approval for all bot actions.
  * Options: Approve | Edit | Change tone (regenerate) | Skip
+ * Threads additionally let you move and delete individual parts.
+ * Drafts with several candidates are first shown side by side to pick or merge one.
+ * Retweets, follows and bookmarks are approved by ticking targets off a list.
  */
-import { select, input, confirm } from '@inquirer/prompts'
+import { select, input, confirm, checkbox } from '@inquirer/prompts'
 import chalk from 'chalk'
-import { TONES, getTone } from './tones.js'
+import path from 'path'
+import { getTone, listTones } from './tones.js'
+import { mediaInfo, validateAttachments, listMediaFiles, resolveMediaPath, MAX_ALT_TEXT } from './media.js'
+import { describeDuplicate } from './duplicates.js'
+import { languageName } from './language.js'
 import logger from './logger.js'
 
 // ── Color palette ────────────────────────────────────────────────
@@ -12,6 +19,7 @@ const c = {
   tweet:   chalk.bold.cyan,
   reply:   chalk.bold.green,
   quote:   chalk.bold.magenta,
+  thread:  chalk.bold.blue,
   dim:     chalk.dim,
   border:  chalk.dim,
   text:    chalk.white,
@@ -32,120 +40,409 @@ const TYPE_CONFIG = {
   tweet: { icon: '📝', label: 'NEW TWEET',   color: c.tweet },
   reply: { icon: '💬', label: 'REPLY',        color: c.reply },
   quote: { icon: '🔁', label: 'QUOTE TWEET', color: c.quote },
+  thread: { icon: '🧵', label: 'THREAD',      color: c.thread },
+}
+
+// Actions without text — approved by ticking targets off a list
+const TARGET_CONFIG = {
+  retweet:  { icon: '🔄', label: 'RETWEET',  verb: 'Retweet',  color: chalk.bold.greenBright },
+  follow:   { icon: '👤', label: 'FOLLOW',   verb: 'Follow',   color: chalk.bold.cyanBright },
+  bookmark: { icon: '🔖', label: 'BOOKMARK', verb: 'Bookmark', color: chalk.bold.yellowBright },
+}
+
+const MAX_CHARS = 280
+
+/** True when there is a terminal to prompt — otherwise drafts are queued instead. */
+export function isInteractive() {
+  return !!process.stdin.isTTY
 }
 
 /**
  * Prompt the user to approve, edit, change tone, or skip a generated action.
  *
  * @param {object} opts
- * @param {'tweet'|'reply'|'quote'} opts.type
+ * @param {'tweet'|'reply'|'quote'|'thread'} opts.type
  * @param {string}  opts.text          - Generated text to review
+ * @param {string[]} [opts.parts]      - For threads: one string per tweet
+ * @param {string[]} [opts.postedIds]  - For resumed threads: IDs of parts already posted
  * @param {object}  [opts.targetTweet] - For reply/quote: the original tweet
  * @param {string}  opts.topic         - Topic name for context
  * @param {string}  [opts.tone]        - Currently applied tone (if any)
+ * @param {object[]} [opts.media]      - Attachments so far: [{ path, altText }]
+ * @param {string}  [opts.mediaDir]    - Folder offered when attaching media
+ * @param {object}  [opts.duplicateOf] - Past post this draft is too similar to (shown as a warning)
+ * @param {string}  [opts.toneReason]  - Why the starting tone was picked automatically
+ * @param {string[]} [opts.allowedTones] - The topic's tone palette for "Change tone" (default: all)
+ * @param {object}  [opts.mention]     - For mentions inbox replies: { category, reason } from triage
+ * @param {object}  [opts.conversation] - For reply/quote: { parents, replies } around the original tweet
+ * @param {string}  [opts.lang]        - Language the draft is written in
+ * @param {string}  [opts.reviewLang]  - The reviewer's language, when back-translation is on
+ * @param {object}  [opts.translation] - Back-translation { of, text } — shown while `of` is the text on screen
+ * @param {string}  [opts.targetTranslation] - Back-translation of the original tweet
  *
- * @returns {{ action: 'post'|'skip'|'regenerate', text: string, tone?: string }}
+ * @returns {{ action: 'post'|'skip'|'regenerate', text: string, tone?: string, media?: object[] }}
+ *          (threads return `parts` instead of `text`)
  */
-export async function approveAction({ type, text, targetTweet, topic, tone = null }) {
+export async function approveAction({ type, text, parts, postedIds, targetTweet, topic, tone = null, media = [], mediaDir = null, duplicateOf = null, toneReason = null, allowedTones = null, mention = null, conversation = null, lang = null, reviewLang = null, translation = null, targetTranslation = null }) {
   // Non-interactive mode — auto-skip to avoid hanging
-  if (!process.stdin.isTTY) {
+  if (!isInteractive()) {
     logger.warn('Approver: non-interactive mode — skipping action (no TTY)')
     return { action: 'skip', text }
   }
 
+  if (type === 'thread') return approveThread({ parts, postedIds, topic, tone, duplicateOf, toneReason, allowedTones, lang, reviewLang, translation })
+
   const cfg = TYPE_CONFIG[type] ?? TYPE_CONFIG.tweet
+  media = [...media]
 
-  printDivider()
-  printHeader(cfg, targetTweet, topic, tone)
+  let choice
+  do {
+    printDivider()
+    printHeader(cfg, targetTweet, topic, tone, lang, reviewLang)
+    printToneReason(toneReason)
+    printTarget(targetTweet, mention, conversation, targetTranslation)
 
-  if (targetTweet) {
     console.log()
-    console.log(c.muted(`  Original tweet by @${targetTweet.author}:`))
-    console.log(c.dim(`  "${targetTweet.text}"`))
-    console.log(c.muted(`  ${targetTweet.likes}❤️  ${targetTweet.retweets}🔁  ${targetTweet.replies ?? 0}💬`))
-  }
+    console.log(c.label(`  Generated ${type}:`))
+    printContentBox(text, cfg.color)
+    printCharCount(text.length)
+    printTranslation(translation?.of === text ? translation.text : null, reviewLang)
+    printMedia(media)
+    printDuplicate(duplicateOf)
+    printDivider()
 
-  console.log()
-  console.log(c.label(`  Generated ${type}:`))
-  printContentBox(text, cfg.color)
-  printCharCount(text.length)
-  printDivider()
+    choice = await select({
+      message: chalk.bold('What do you want to do?'),
+      choices: [
+        { name: chalk.greenBright('✅  Approve')      + chalk.dim(' — post as-is'),                        value: 'approve' },
+        { name: chalk.yellow('✏️   Edit')              + chalk.dim(' — modify before posting'),              value: 'edit'    },
+        { name: chalk.magentaBright('🎭  Change tone') + chalk.dim(' — regenerate with a different style'), value: 'tone',
+          disabled: !otherTones(tone, allowedTones) },
+        { name: chalk.cyan('📎  Media')                + chalk.dim(' — attach or remove images / GIFs'),    value: 'media'   },
+        { name: chalk.dim('⏭️   Skip')                + chalk.dim(' — discard this action'),                value: 'skip'    },
+      ],
+    })
 
-  const choice = await select({
-    message: chalk.bold('What do you want to do?'),
-    choices: [
-      { name: chalk.greenBright('✅  Approve')      + chalk.dim(' — post as-is'),                        value: 'approve' },
-      { name: chalk.yellow('✏️   Edit')              + chalk.dim(' — modify before posting'),              value: 'edit'    },
-      { name: chalk.magentaBright('🎭  Change tone') + chalk.dim(' — regenerate with a different style'), value: 'tone'    },
-      { name: chalk.dim('⏭️   Skip')                + chalk.dim(' — discard this action'),                value: 'skip'    },
-    ],
-  })
+    // ── Media ─────────────────────────────────────────────────────
+    if (choice === 'media') media = await editMedia(media, mediaDir)
+  } while (choice === 'media')
 
   // ── Skip ──────────────────────────────────────────────────────
   if (choice === 'skip') {
     console.log(c.skip('  ⏭  Skipped.\n'))
-    return { action: 'skip', text }
+    return { action: 'skip', text, media }
   }
 
   // ── Edit ──────────────────────────────────────────────────────
   if (choice === 'edit') {
     const edited = await input({
-      message: chalk.yellow('Edit the text') + chalk.dim(' (max 280 chars):'),
+      message: chalk.yellow('Edit the text') + chalk.dim(` (max ${MAX_CHARS} chars):`),
       default: text,
-      validate: val => {
-        if (!val.trim()) return 'Text cannot be empty'
-        if (val.length > 280) return chalk.red(`Too long: ${val.length}/280 chars`)
-        return true
-      },
+      validate: validateText,
     })
 
     console.log()
     console.log(c.label('  Final text:'))
     printContentBox(edited, cfg.color)
     printCharCount(edited.length)
+    printMedia(media)
 
     const ok = await confirm({ message: chalk.bold('Post this?'), default: true })
     if (!ok) {
       console.log(c.skip('  ⏭  Skipped.\n'))
-      return { action: 'skip', text: edited }
+      return { action: 'skip', text: edited, media }
     }
 
     console.log(c.success('  ✅  Approved (edited).\n'))
-    return { action: 'post', text: edited }
+    return { action: 'post', text: edited, media }
   }
 
   // ── Change tone ───────────────────────────────────────────────
   if (choice === 'tone') {
-    const selectedTone = await select({
-      message: chalk.magentaBright('🎭  Pick a tone:'),
-      choices: TONES.map(t => ({
-        name: `${t.icon}  ${chalk.bold(t.label)}  ${chalk.dim(t.instruction.slice(0, 55) + '…')}`,
-        value: t.value,
-        disabled: t.value === tone ? chalk.dim('← current') : false,
+    return { action: 'regenerate', text, tone: await pickTone(tone, allowedTones), media }
+  }
+
+  // ── Approve ───────────────────────────────────────────────────
+  console.log(c.success('  ✅  Approved.\n'))
+  return { action: 'post', text, media }
+}
+
+/**
+ * Show a draft's candidates side by side, each as a numbered box with its
+ * tone and character count, and let the user pick one, merge several,
+ * regenerate them all in another tone, or skip.
+ *
+ * @param {object} opts - Same draft fields as approveAction, plus
+ * @param {{ text: string, tone: string|null, duplicateOf: object|null }[]} opts.candidates
+ *
+ * @returns {{ action: 'pick', index: number } | { action: 'merge', indexes: number[] } | { action: 'regenerate', tone: string } | { action: 'skip' }}
+ */
+export async function pickCandidate({ type, candidates, targetTweet, topic, tone = null, toneReason = null, allowedTones = null, mention = null, conversation = null, lang = null, reviewLang = null, targetTranslation = null }) {
+  if (!isInteractive()) {
+    logger.warn('Approver: non-interactive mode — skipping action (no TTY)')
+    return { action: 'skip' }
+  }
+
+  const cfg = TYPE_CONFIG[type] ?? TYPE_CONFIG.tweet
+
+  printDivider()
+  printHeader({ ...cfg, label: `${cfg.label} (${candidates.length} candidates)` }, targetTweet, topic, tone, lang, reviewLang)
+  printToneReason(toneReason)
+  printTarget(targetTweet, mention, conversation, targetTranslation)
+
+  candidates.forEach((cand, i) => {
+    const toneTag = cand.tone ? '  ' + c.tone(`[${getTone(cand.tone)?.icon ?? ''} ${cand.tone}]`) : ''
+    console.log()
+    console.log(c.label(`  #${i + 1}`) + toneTag)
+    printContentBox(cand.text, cfg.color)
+    printCharCount(cand.text.length)
+    printTranslation(cand.translation, reviewLang)
+    printDuplicate(cand.duplicateOf)
+  })
+  printDivider()
+
+  const choice = await select({
+    message: chalk.bold('Which one?'),
+    choices: [
+      ...candidates.map((cand, i) => ({
+        name: chalk.greenBright(`✅  Use #${i + 1}`) + chalk.dim(` — ${cand.text.slice(0, 45)}${cand.text.length > 45 ? '…' : ''}`),
+        value: i,
       })),
+      { name: chalk.cyan('🔀  Merge')               + chalk.dim(' — combine the best of several'),       value: 'merge' },
+      { name: chalk.magentaBright('🎭  Change tone') + chalk.dim(' — regenerate all candidates'),         value: 'tone',
+        disabled: !otherTones(tone, allowedTones) },
+      { name: chalk.dim('⏭️   Skip')                + chalk.dim(' — discard this action'),               value: 'skip' },
+    ],
+  })
+
+  if (choice === 'skip') {
+    console.log(c.skip('  ⏭  Skipped.\n'))
+    return { action: 'skip' }
+  }
+
+  if (choice === 'tone') return { action: 'regenerate', tone: await pickTone(tone, allowedTones) }
+
+  if (choice === 'merge') {
+    const indexes = await checkbox({
+      message: chalk.cyan('🔀  Merge which candidates?'),
+      choices: candidates.map((cand, i) => ({ name: `#${i + 1}  ${cand.text.slice(0, 55)}${cand.text.length > 55 ? '…' : ''}`, value: i, checked: true })),
+      validate: picked => picked.length >= 2 || 'Pick at least two',
     })
+    console.log(c.regen(`\n  🔄  Merging ${indexes.map(i => `#${i + 1}`).join(' + ')}…\n`))
+    return { action: 'merge', indexes }
+  }
+
+  return { action: 'pick', index: choice }
+}
 
-    const picked = getTone(selectedTone)
-    console.log(c.regen(`\n  🔄  Regenerating as ${picked.icon} ${picked.label}…\n`))
-    return { action: 'regenerate', text, tone: selectedTone }
+/**
+ * Ask which of a cycle's retweet / follow / bookmark candidates to act on.
+ * Nothing is ticked to start with — every target has to be chosen.
+ *
+ * @param {object} opts
+ * @param {'retweet'|'follow'|'bookmark'} opts.kind
+ * @param {string}   opts.topic
+ * @param {{ value: any, label: string, detail?: string }[]} opts.targets
+ * @returns {Promise<any[]>} values of the approved targets
+ */
+export async function approveTargets({ kind, topic, targets }) {
+  const cfg = TARGET_CONFIG[kind]
+  console.log(`\n  ${cfg.icon}  ${cfg.color(cfg.label)}  ${chalk.dim(`topic: "${topic}"`)}`)
+  for (const t of targets) {
+    console.log(`  ${c.label(t.label)}`)
+    if (t.detail) console.log(c.muted(`    ${oneLine(t.detail, 100)}`))
   }
+  console.log()
 
-  // ── Approve ───────────────────────────────────────────────────
-  console.log(c.success('  ✅  Approved.\n'))
-  return { action: 'post', text }
+  const picked = await checkbox({
+    message: chalk.cyan(`${cfg.verb} which?`) + chalk.dim(' (space to tick, enter to confirm — none skips)'),
+    choices: targets.map(t => ({ name: t.label, value: t.value, checked: false })),
+  })
+  if (!picked.length) console.log(c.skip('  ⏭  Skipped.\n'))
+  return picked
+}
+
+/**
+ * Attach a file (typed path or picked from the media folder) or remove one.
+ * @returns {Promise<object[]>} the new attachment list
+ */
+async function editMedia(media, mediaDir) {
+  const folderFiles = listMediaFiles(mediaDir).filter(f => !media.some(m => m.path === f))
+  const full = validateAttachments([...media, { path: 'x.png' }])
+
+  const how = await select({
+    message: chalk.cyan('📎  Media:'),
+    choices: [
+      { name: `🗂️   Pick from ${mediaDir ? chalk.bold(mediaDir) : 'media folder'}`, value: 'folder',
+        disabled: full ? chalk.dim(full) : !mediaDir ? chalk.dim('no mediaFolder configured') : !folderFiles.length ? chalk.dim('no images found') : false },
+      { name: '⌨️   Enter a file path', value: 'path', disabled: full ? chalk.dim(full) : false },
+      { name: '🗑️   Remove an attachment', value: 'remove', disabled: !media.length },
+      { name: chalk.dim('↩️   Back'), value: 'back' },
+    ],
+  })
+
+  if (how === 'back') return media
+
+  if (how === 'remove') {
+    const index = await select({
+      message: chalk.bold('Remove which attachment?'),
+      choices: media.map((m, i) => ({ name: path.basename(m.path), value: i })),
+    })
+    return media.filter((_, i) => i !== index)
+  }
+
+  const file = how === 'folder'
+    ? await select({
+        message: chalk.bold('Pick a file:'),
+        choices: folderFiles.map(f => ({ name: path.basename(f), value: f })),
+        pageSize: 12,
+      })
+    : resolveMediaPath(await input({
+        message: chalk.bold('File path') + chalk.dim(' (png, jpg, webp, gif):'),
+        validate: val => {
+          try { mediaInfo(resolveMediaPath(val.trim())) } catch (err) { return err.message }
+          return validateAttachments([...media, { path: val.trim() }]) ?? true
+        },
+      }).then(v => v.trim()))
+
+  const altText = await input({
+    message: chalk.bold('Alt text') + chalk.dim(' (describe the image for screen readers — Enter to skip):'),
+    validate: val => val.length <= MAX_ALT_TEXT || `Max ${MAX_ALT_TEXT} chars`,
+  })
+
+  return [...media, { path: file, altText: altText.trim() }]
+}
+
+/**
+ * Review a thread: every part is shown as a numbered box with its own
+ * character count, and parts can be edited, moved or deleted before posting.
+ * Parts that were already posted (a resumed thread) are locked.
+ *
+ * @returns {{ action: 'post'|'skip'|'regenerate', parts: string[], tone?: string }}
+ */
+async function approveThread({ parts, postedIds = [], topic, tone, duplicateOf = null, toneReason = null, allowedTones = null, lang = null, reviewLang = null, translation = null }) {
+  const cfg    = TYPE_CONFIG.thread
+  const locked = postedIds.length
+  parts = [...parts]
+
+  while (true) {
+    printDivider()
+    printHeader({ ...cfg, label: `${cfg.label} (${parts.length} parts)` }, null, topic, tone, lang, reviewLang)
+    printToneReason(toneReason)
+    if (locked) console.log(c.muted(`\n  Resuming — parts 1–${locked} are already posted.`))
+
+    parts.forEach((part, i) => {
+      console.log()
+      console.log(c.label(`  ${i + 1}/${parts.length}`) + (i < locked ? c.dim('  ✓ posted') : ''))
+      printContentBox(part, i < locked ? c.dim : cfg.color)
+      printCharCount(part.length)
+    })
+    printTranslation(translation?.of === parts.join('\n\n') ? translation.text : null, reviewLang)
+    printDuplicate(duplicateOf)
+    printDivider()
+
+    const editable = locked < parts.length
+    const movable  = parts.length - locked > 1
+    const tooLong  = parts.findIndex(p => p.length > MAX_CHARS)
+
+    const choice = await select({
+      message: chalk.bold('What do you want to do?'),
+      choices: [
+        { name: chalk.greenBright('✅  Approve')      + chalk.dim(locked ? ' — post the remaining parts' : ' — post the thread'), value: 'approve',
+          disabled: tooLong >= 0 ? chalk.dim(`part ${tooLong + 1} is over ${MAX_CHARS} chars`) : false },
+        { name: chalk.yellow('✏️   Edit a part')       + chalk.dim(' — modify one tweet'),                 value: 'edit',   disabled: !editable },
+        { name: chalk.cyan('↕️   Move a part')         + chalk.dim(' — change the order'),                 value: 'move',   disabled: !movable },
+        { name: chalk.red('🗑️   Delete a part')        + chalk.dim(' — drop one tweet'),                   value: 'delete', disabled: !movable },
+        { name: chalk.magentaBright('🎭  Change tone') + chalk.dim(' — regenerate the whole thread'),      value: 'tone',   disabled: !!locked || !otherTones(tone, allowedTones) },
+        { name: chalk.dim('⏭️   Skip')                + chalk.dim(' — discard this thread'),               value: 'skip'   },
+      ],
+    })
+
+    if (choice === 'skip') {
+      console.log(c.skip('  ⏭  Skipped.\n'))
+      return { action: 'skip', parts }
+    }
+
+    if (choice === 'tone') {
+      return { action: 'regenerate', parts, tone: await pickTone(tone, allowedTones) }
+    }
+
+    if (choice === 'approve') {
+      console.log(c.success('  ✅  Approved.\n'))
+      return { action: 'post', parts }
+    }
+
+    const index = await pickPart(parts, locked, choice === 'edit' ? 'Edit which part?' : choice === 'move' ? 'Move which part?' : 'Delete which part?')
+
+    if (choice === 'edit') {
+      parts[index] = await input({
+        message: chalk.yellow(`Edit part ${index + 1}`) + chalk.dim(` (max ${MAX_CHARS} chars):`),
+        default: parts[index],
+        validate: validateText,
+      })
+    } else if (choice === 'move') {
+      const to = await select({
+        message: chalk.cyan(`Move part ${index + 1} to position:`),
+        choices: parts.map((_, i) => ({ name: String(i + 1), value: i, disabled: i < locked || i === index })),
+      })
+      const [part] = parts.splice(index, 1)
+      parts.splice(to, 0, part)
+    } else if (choice === 'delete') {
+      parts.splice(index, 1)
+    }
+  }
 }
 
 // ── Helpers ──────────────────────────────────────────────────────
 
+// True if the palette has a tone to switch to
+function otherTones(current, allowed) {
+  return listTones(allowed).some(t => t.value !== current)
+}
+
+async function pickTone(current, allowed) {
+  const selectedTone = await select({
+    message: chalk.magentaBright('🎭  Pick a tone:'),
+    choices: listTones(allowed).map(t => ({
+      name: `${t.icon}  ${chalk.bold(t.label)}  ${chalk.dim(t.instruction.slice(0, 55) + '…')}`,
+      value: t.value,
+      disabled: t.value === current ? chalk.dim('← current') : false,
+    })),
+  })
+
+  const picked = getTone(selectedTone)
+  console.log(c.regen(`\n  🔄  Regenerating as ${picked.icon} ${picked.label}…\n`))
+  return selectedTone
+}
+
+function pickPart(parts, locked, message) {
+  return select({
+    message: chalk.bold(message),
+    choices: parts.map((p, i) => ({
+      name: `${String(i + 1).padStart(2)}. ${p.slice(0, 60)}${p.length > 60 ? '…' : ''}`,
+      value: i,
+      disabled: i < locked ? chalk.dim('posted') : false,
+    })),
+  })
+}
+
+function validateText(val) {
+  if (!val.trim()) return 'Text cannot be empty'
+  if (val.length > MAX_CHARS) return chalk.red(`Too long: ${val.length}/${MAX_CHARS} chars`)
+  return true
+}
+
 function printDivider() {
   console.log(c.border('─'.repeat(62)))
 }
 
-function printHeader(cfg, targetTweet, topic, tone) {
+function printHeader(cfg, targetTweet, topic, tone, lang = null, reviewLang = null) {
   const topicTag  = chalk.dim(`topic: "${topic}"`)
   const authorTag = targetTweet ? chalk.dim(` → @${targetTweet.author}`) : ''
   const toneTag   = tone ? '  ' + c.tone(`[${getTone(tone)?.icon ?? ''} ${tone}]`) : ''
-  console.log(`\n  ${cfg.icon}  ${cfg.color(cfg.label)}${authorTag}  ${topicTag}${toneTag}`)
+  // Only worth pointing out when it isn't the reviewer's own language
+  const langTag   = lang && lang !== (reviewLang ?? 'en') ? '  ' + chalk.cyan(`[🌐 ${languageName(lang)}]`) : ''
+  console.log(`\n  ${cfg.icon}  ${cfg.color(cfg.label)}${authorTag}  ${topicTag}${toneTag}${langTag}`)
 }
 
 function printContentBox(text, colorFn) {
@@ -175,8 +472,56 @@ function printContentBox(text, colorFn) {
   console.log(`  ${bottom}`)
 }
 
+function printTarget(targetTweet, mention = null, conversation = null, translation = null) {
+  if (!targetTweet) return
+  console.log()
+  for (const t of conversation?.parents ?? []) {
+    console.log(c.dim(`  ↑ @${t.author}: ${oneLine(t.text, 90)}`))
+  }
+  if (mention) {
+    console.log(c.muted(`  📥 @${targetTweet.author} ${targetTweet.isReply ? 'replied to you' : 'mentioned you'} — `) + c.label(mention.category) + (mention.reason ? c.muted(`: ${mention.reason}`) : ''))
+  } else {
+    console.log(c.muted(`  Original tweet by @${targetTweet.author}:`))
+  }
+  console.log(c.dim(`  "${targetTweet.text}"`))
+  if (translation) console.log(c.muted('  ↩ ') + c.dim(`"${translation}"`))
+  console.log(c.muted(`  ${targetTweet.likes}❤️  ${targetTweet.retweets}🔁  ${targetTweet.replies ?? 0}💬`))
+  if (conversation?.replies?.length) {
+    console.log(c.muted('  Top replies so far:'))
+    for (const t of conversation.replies) {
+      console.log(c.dim(`  ↳ ${String(t.likes).padStart(4)}❤️  @${t.author}: ${oneLine(t.text, 80)}`))
+    }
+  }
+}
+
+function oneLine(text, max) {
+  const flat = text.replace(/\s+/g, ' ')
+  return flat.length > max ? `${flat.slice(0, max)}…` : flat
+}
+
+function printTranslation(text, lang) {
+  if (text) console.log(c.muted(`  ↩ In ${languageName(lang ?? 'en')}: `) + c.dim(text.replace(/\s+/g, ' ')))
+}
+
+function printMedia(media) {
+  for (const m of media) {
+    const alt = m.altText ? chalk.dim(` — alt: "${m.altText.slice(0, 40)}${m.altText.length > 40 ? '…' : ''}"`) : chalk.yellow(' — no alt text')
+    console.log(`  📎 ${path.basename(m.path)}${alt}`)
+  }
+}
+
+function printToneReason(reason) {
+  if (reason) console.log(c.muted(`  🎲 Tone picked for you: ${reason}`))
+}
+
+function printDuplicate(match) {
+  if (!match) return
+  console.log()
+  console.log(chalk.yellow(`  ⚠  Looks like a repeat — ${describeDuplicate(match)}`))
+}
+
 function printCharCount(len) {
-  const max   = 280
+  const max   = MAX_CHARS
   const pct   = len / max
   const bar   = buildBar(pct, 30)
   const label = pct < 0.85 ? c.count.ok(`${len}/${max}`)
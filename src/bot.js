@@ -2,152 +2,226 @@
  * Core bot logic — orchestrates the topic cycle.
  * Every generated action goes through approveAction().
  * If the user picks "Change tone", we regenerate and show again.
+ * With settings.candidates, several versions are generated at once and the
+ * user picks or merges one before the usual approval.
+ * Retweets, follows and bookmarks are approved by ticking targets in
+ * approveTargets(), or queued one target per draft without a terminal.
+ * runMentionsCycle answers people who reply to or mention us.
+ * Without a terminal, drafts go to the approval queue (see queue.js).
+ * In dry-run mode every write goes to the recorder in dryrun.js instead of X,
+ * and state.js is left untouched.
  */
-import { searchTweets, getAccountTweets, postTweet, replyToTweet, quoteTweet, likeTweet } from './twitter.js'
-import { analyzeTweets, generateTweet, generateReply, generateQuoteComment } from './ai.js'
-import { approveAction } from './approver.js'
-import { hasRepliedTo, hasQuoted, markReplied, markQuoted, markPosted } from './state.js'
+import * as twitter from './twitter.js'
+import { searchTweets, getAccountTweets, getMentions, getConversation, rateLimitSummary } from './twitter.js'
+import * as dryRun from './dryrun.js'
+import { analyzeTweets, generateTweet, generateThread, generateReply, generateQuoteComment, mergeCandidates, triageMentions, generateMentionReply, translateTexts } from './ai.js'
+import { approveAction, pickCandidate, approveTargets, isInteractive } from './approver.js'
+import { enqueueDraft, hasPendingDraft, hasPendingFollow } from './queue.js'
+import { checkWrite, quotaSummary } from './guardrails.js'
+import { findDuplicate, describeDuplicate, duplicateRules } from './duplicates.js'
+import { pickTone } from './tonebandit.js'
+import { listTones } from './tones.js'
+import { scoringRules, rankTweets, scoreTweet, describeScore } from './scoring.js'
+import { filterRules, applyFilters, describeDropped } from './filters.js'
+import { isKnownLanguage } from './language.js'
+import { searchRules, buildSearchQuery } from './search.js'
+import { hasRepliedTo, hasQuoted, markReplied, markQuoted, markPosted, markThread, recordPost, logAction, hasHandledMention, markMentionHandled, hasRetweeted, markRetweeted, hasUnretweeted, markUnretweeted, hasBookmarked, markBookmarked, hasFollowed, markFollowed } from './state.js'
+import { cacheSummary } from './cache.js'
 import logger from './logger.js'
 
-export async function runTopicCycle(topic, settings) {
-  logger.info(`Bot: starting cycle for topic "${topic.name}"`)
+// Thread context fetched for reply and quote targets (settings.conversation)
+const CONVERSATION_DEFAULTS = { enabled: true, parents: 4, replies: 5 }
 
-  // 1. Fetch top tweets — prefer searchQueries (keyword search), fall back to accounts
-  let allTweets = []
+// Sources (search queries or accounts) fetched at once, unless settings.fetchConcurrency says otherwise
+const FETCH_CONCURRENCY = 3
 
-  if (topic.searchQueries?.length) {
-    for (const query of topic.searchQueries) {
-      const tweets = await searchTweets(query, settings.tweetsPerSearch ?? 20)
-      allTweets.push(...tweets)
-    }
-  } else {
-    for (const account of topic.accounts ?? []) {
-      const tweets = await getAccountTweets(account, settings.tweetsPerSearch ?? 20)
-      allTweets.push(...tweets)
-    }
-  }
+// Retweets, follows and bookmarks per cycle (settings.socialActions)
+const SOCIAL_DEFAULTS = {
+  retweet:  { perCycle: 1, minScore: 50, requireApproval: true },
+  follow:   { perCycle: 1, minFollowers: 1000, requireApproval: true },
+  bookmark: { perCycle: 3, minScore: 0, requireApproval: true },
+}
 
-  const seen = new Set()
-  allTweets = allTweets
-    .filter(t => { if (seen.has(t.id)) return false; seen.add(t.id); return true })
-    .filter(t => !t.isRetweet)
-    .sort((a, b) => engagementScore(b) - engagementScore(a))
+/** Draft types that act on a target instead of posting text. */
+export const SOCIAL_KINDS = Object.keys(SOCIAL_DEFAULTS)
+
+// Back-translation of drafts in other languages for the reviewer (settings.multilingual)
+const MULTILINGUAL_DEFAULTS = { backTranslate: false, reviewLanguage: 'en' }
+
+export async function runTopicCycle(topic, settings) {
+  logger.info(`Bot: starting cycle for topic "${topic.name}"`)
+  // Drafts queued during a dry run stay dry even if reviewed later in a live run,
+  // and a dry run leaves the action history alone
+  const dry = dryRun.isDryRun() || undefined
 
-  logger.info(`Bot: fetched ${allTweets.length} unique tweets for "${topic.name}"`)
-  if (!allTweets.length) { logger.warn(`Bot: no tweets found for "${topic.name}"`); return }
+  // 1. Fetch top tweets, drop the ones the filters exclude (see filters.js) and rank the rest (see scoring.js)
+  const { tweets: fetched, sources, failed } = await fetchTopicTweets(topic, settings)
+  const { kept, dropped } = applyFilters(fetched, filterRules(settings, topic))
+  const rules  = scoringRules(settings, topic)
+  const ranked = rankTweets(kept, rules)
+  const allTweets = ranked.map(s => s.tweet)
+
+  logger.info(`Bot: fetched ${fetched.length} unique tweets for "${topic.name}"${failed.length ? ` (${failed.length} of ${sources} sources failed)` : ''}`)
+  if (fetched.length > kept.length) logger.info(`Bot: filters dropped ${fetched.length - kept.length} of ${fetched.length} — ${describeDropped(dropped)}`)
+  if (!dry) logAction('fetch', { topic: topic.name, details: { queries: topic.searchQueries, accounts: topic.searchQueries?.length ? undefined : topic.accounts, count: fetched.length, dropped: kept.length < fetched.length ? dropped : undefined, failed: failed.length ? failed : undefined } })
+  if (!fetched.length) { logger.warn(failed.length === sources ? `Bot: every fetch failed for "${topic.name}"` : `Bot: no tweets found for "${topic.name}"`); return }
+  if (!allTweets.length) { logger.warn(`Bot: no tweets left for "${topic.name}" after filters`); return }
+  logger.info(`Bot: top tweet ${describeScore(ranked[0], rules)}`)
 
   // 2. Analyze
-  const analysis = await analyzeTweets(allTweets, topic.name)
+  const analysis = await analyzeTweets(allTweets, topic.name, topic.ai)
   logger.info(`Bot: sentiment: ${analysis.sentiment} | themes: ${analysis.themes.join(', ')}`)
+  if (!dry) logAction('analysis', { topic: topic.name, targetId: analysis.topEngagementTweet?.id, text: analysis.summary, details: { sentiment: analysis.sentiment, themes: analysis.themes } })
 
   const style = topic.style ?? settings.defaultStyle
+  // Shown next to queued drafts in the dashboard
+  const context = { summary: analysis.summary, themes: analysis.themes, sentiment: analysis.sentiment }
+  // Offered by the approver's "Media" menu
+  const mediaDir = topic.mediaFolder ?? settings.mediaFolder ?? null
 
   // 3. Post original tweet
-  if (settings.actions?.postOriginal && topic.subjects?.length) {
+  if (settings.actions?.postOriginal && topic.subjects?.length && allowed('tweet')) {
     const subject = randomPick(topic.subjects)
     logger.info(`Bot: generating tweet — "${subject}"`)
 
-    let tone = null
-    let text = await generateTweet(subject, analysis.themes, style, topic.avoid, tone)
-
-    if (text) {
-      let result
-      do {
-        result = await approveAction({ type: 'tweet', text, topic: topic.name, tone })
-        if (result.action === 'regenerate') {
-          tone = result.tone
-          text = await generateTweet(subject, analysis.themes, style, topic.avoid, tone)
-          if (!text) { result = { action: 'skip', text: '' }; break }
-        }
-      } while (result.action === 'regenerate')
+    const draft = {
+      type: 'tweet', topic: topic.name,
+      ...toneFields(topic, 'tweet', settings), ...candidateFields('tweet', settings), ...languageFields(topic, null, settings),
+      subject, themes: analysis.themes, style, avoid: topic.avoid ?? [], analysis: context,
+      ai: topic.ai, dryRun: dry, media: [], mediaDir,
+    }
+    draft.text = await generateDraft(draft)
+    if (draft.text) await handleDraft(draft, settings)
+  }
 
-      if (result.action === 'post') {
-        try {
-          const res = await postTweet(result.text)
-          if (res?.id) markPosted(res.id)
-          logger.info('Bot: original tweet posted')
-          await sleep(settings.delayBetweenActions ?? 5000)
-        } catch (err) { logger.error('Bot: post failed:', err.message) }
-      }
+  // 3b. Thread
+  if (settings.actions?.thread && topic.subjects?.length && allowed('tweet')) {
+    const subject = randomPick(topic.subjects)
+    const count   = topic.threadParts ?? settings.threadParts ?? 4
+    logger.info(`Bot: generating ${count}-part thread — "${subject}"`)
+
+    const draft = {
+      type: 'thread', topic: topic.name,
+      ...toneFields(topic, 'thread', settings), ...languageFields(topic, null, settings),
+      subject, count, themes: analysis.themes, style, avoid: topic.avoid ?? [], analysis: context,
+      ai: topic.ai, dryRun: dry,
     }
+    setContent(draft, await generateDraft(draft))
+    if (draft.parts) await handleDraft(draft, settings)
   }
 
   // 4. Reply to best tweet
-  if (settings.actions?.reply && analysis.topEngagementTweet) {
+  if (settings.actions?.reply && analysis.topEngagementTweet && allowed('reply')) {
     const target = analysis.topEngagementTweet
+    const scored = scoreTweet(target, rules)
 
-    if (hasRepliedTo(target.id)) {
+    if (scored.score < rules.thresholds.reply) {
+      logger.info(`Bot: not replying — ${describeScore(scored, rules)} is below the reply threshold ${rules.thresholds.reply}`)
+    } else if (hasRepliedTo(target.id)) {
       logger.info(`Bot: already replied to ${target.id}`)
+    } else if (hasPendingDraft('reply', target.id)) {
+      logger.info(`Bot: reply to ${target.id} is already waiting in the approval queue`)
     } else {
       logger.info(`Bot: generating reply to @${target.author}`)
 
-      let tone = null
-      let text = await generateReply(target, topic.name, style, tone)
-
-      if (text) {
-        let result
-        do {
-          result = await approveAction({ type: 'reply', text, targetTweet: target, topic: topic.name, tone })
-          if (result.action === 'regenerate') {
-            tone = result.tone
-            text = await generateReply(target, topic.name, style, tone)
-            if (!text) { result = { action: 'skip', text: '' }; break }
-          }
-        } while (result.action === 'regenerate')
-
-        if (result.action === 'post') {
-          try {
-            await replyToTweet(result.text, target.id)
-            markReplied(target.id)
-            logger.info(`Bot: replied to @${target.author}`)
-            await sleep(settings.delayBetweenActions ?? 5000)
-          } catch (err) { logger.error('Bot: reply failed:', err.message) }
-        }
+      const draft = {
+        type: 'reply', topic: topic.name,
+        ...toneFields(topic, 'reply', settings), ...candidateFields('reply', settings), ...languageFields(topic, target, settings),
+        targetTweet: target, conversation: await fetchConversation(target, settings), style, analysis: context,
+        ai: topic.ai, dryRun: dry, media: [], mediaDir,
       }
+      draft.text = await generateDraft(draft)
+      if (draft.text) await handleDraft(draft, settings)
     }
   }
 
   // 5. Quote-tweet
-  if (settings.actions?.quoteTweet) {
-    const candidate = allTweets.find(t => !hasQuoted(t.id) && engagementScore(t) > 10)
+  if (settings.actions?.quoteTweet && allowed('quote')) {
+    const candidate = ranked.find(s => s.score > rules.thresholds.quote && !hasQuoted(s.tweet.id) && !hasPendingDraft('quote', s.tweet.id))?.tweet
 
     if (candidate) {
       logger.info(`Bot: generating quote for @${candidate.author}`)
 
-      let tone = null
-      let text = await generateQuoteComment(candidate, topic.name, style, tone)
-
-      if (text) {
-        let result
-        do {
-          result = await approveAction({ type: 'quote', text, targetTweet: candidate, topic: topic.name, tone })
-          if (result.action === 'regenerate') {
-            tone = result.tone
-            text = await generateQuoteComment(candidate, topic.name, style, tone)
-            if (!text) { result = { action: 'skip', text: '' }; break }
-          }
-        } while (result.action === 'regenerate')
-
-        if (result.action === 'post') {
-          try {
-            await quoteTweet(result.text, candidate.id, candidate.author)
-            markQuoted(candidate.id)
-            logger.info(`Bot: quote-tweeted @${candidate.author}`)
-            await sleep(settings.delayBetweenActions ?? 5000)
-          } catch (err) { logger.error('Bot: quote-tweet failed:', err.message) }
-        }
+      const draft = {
+        type: 'quote', topic: topic.name,
+        ...toneFields(topic, 'quote', settings), ...candidateFields('quote', settings), ...languageFields(topic, candidate, settings),
+        targetTweet: candidate, conversation: await fetchConversation(candidate, settings), style, analysis: context,
+        ai: topic.ai, dryRun: dry, media: [], mediaDir,
       }
+      draft.text = await generateDraft(draft)
+      if (draft.text) await handleDraft(draft, settings)
     }
   }
 
   // 6. Like top tweets (no approval — low-risk)
-  if (settings.actions?.like) {
+  if (settings.actions?.like && allowed('like')) {
     const toLike = allTweets.slice(0, settings.likesPerCycle ?? 3)
-    for (const tweet of toLike) { await likeTweet(tweet.id); await sleep(2000) }
-    logger.info(`Bot: liked ${toLike.length} tweets`)
+    let liked = 0
+    try {
+      for (const tweet of toLike) {
+        await writer().likeTweet(tweet.id)
+        if (!dry) logAction('like', { topic: topic.name, targetId: tweet.id })
+        liked++
+        await sleep(2000)
+      }
+    } catch (err) {
+      if (!err.guardrail) throw err
+    }
+    logger.info(`Bot: liked ${liked} tweets`)
+  }
+
+  // 7. Retweet, follow, bookmark (approved first unless socialActions.<kind>.requireApproval is off)
+  for (const kind of SOCIAL_KINDS) {
+    if (settings.actions?.[kind] && allowed(kind)) await runSocialAction(kind, ranked, topic, settings)
   }
 
   logger.info(`Bot: cycle complete for "${topic.name}"`)
+  logger.info(`Bot: rate limits — ${rateLimitSummary() || 'no X calls this cycle'}`)
+  const cache = cacheSummary()
+  if (cache) logger.info(`Bot: cache — ${cache}`)
+  const quota = quotaSummary()
+  if (quota) logger.info(`Bot: quota (24h) — ${quota}`)
+}
+
+/**
+ * Fetch a topic's tweets — from its searchQueries, or its accounts' timelines
+ * when it has none — without duplicates or retweets, in source order.
+ * Up to settings.fetchConcurrency sources are fetched at once; xFetch keeps
+ * them inside each endpoint's rate-limit budget. A source that fails is
+ * logged and listed in `failed`, the others' tweets are still returned.
+ * @param {object} topic
+ * @param {object} settings - Bot settings (uses tweetsPerSearch, fetchConcurrency)
+ * @returns {Promise<{ tweets: object[], sources: number, failed: { source: string, error: string }[] }>}
+ */
+export async function fetchTopicTweets(topic, settings) {
+  let sources
+  if (topic.searchQueries?.length) {
+    const rules = searchRules(settings, topic)
+    sources = topic.searchQueries.map(query => ({
+      source: `"${query}"`,
+      fetch: () => searchTweets(buildSearchQuery(query, rules, topic.languages), rules.count, { mode: rules.mode, maxPages: rules.maxPages }),
+    }))
+  } else {
+    sources = (topic.accounts ?? []).map(account => ({
+      source: `@${account.replace(/^@/, '')}`,
+      fetch: () => getAccountTweets(account.replace(/^@/, ''), settings.tweetsPerSearch ?? 20),
+    }))
+  }
+
+  const results = await mapSettled(sources, settings.fetchConcurrency ?? FETCH_CONCURRENCY, s => s.fetch())
+  const failed = []
+  results.forEach((r, i) => {
+    if (!r.error) return
+    failed.push({ source: sources[i].source, error: r.error.message })
+    logger.warn(`Bot: fetch ${sources[i].source} failed — ${r.error.message}`)
+  })
+
+  const seen = new Set()
+  const tweets = results
+    .flatMap(r => r.value ?? [])
+    .filter(t => { if (seen.has(t.id)) return false; seen.add(t.id); return true })
+    .filter(t => !t.isRetweet)
+  return { tweets, sources: sources.length, failed }
 }
 
 /**
@@ -170,8 +244,692 @@ export async function runSearchCycle(query, settings) {
   return runTopicCycle(topic, settings)
 }
 
-function engagementScore(t) {
-  return (t.likes ?? 0) + (t.retweets ?? 0) * 2 + (t.replies ?? 0) * 1.5
+// ── Retweets, follows and bookmarks ───────────────────────────────────────────
+
+/**
+ * Retweet, follow or bookmark the cycle's best targets: ranked tweets scoring
+ * at least minScore, or for follows their authors with at least minFollowers —
+ * minus anything done before (state.js keeps every retweet, follow and
+ * bookmark, so nothing is repeated). With requireApproval the targets are
+ * offered in the approver, or — like drafts — queued for npm run review and
+ * the dashboard when no one is at the terminal.
+ */
+async function runSocialAction(kind, ranked, topic, settings) {
+  const opts = { ...SOCIAL_DEFAULTS[kind], ...settings.socialActions?.[kind] }
+  const targets = socialTargets(kind, ranked, opts, settings).slice(0, opts.perCycle)
+  if (!targets.length) return
+  const dry = dryRun.isDryRun() || undefined
+
+  let approved = targets
+  if (opts.requireApproval) {
+    if (!isInteractive() || settings.queue?.always) {
+      const queued = targets.filter(t => enqueueDraft({ type: kind, topic: topic.name, targetTweet: t, dryRun: dry }, settings))
+      logger.info(`Bot: ${kind} — ${queued.length} target(s) queued for approval`)
+      return
+    }
+    const ids = await approveTargets({
+      kind, topic: topic.name,
+      targets: targets.map(t => ({ value: t.id, label: socialLabel(kind, t), detail: t.text })),
+    })
+    approved = targets.filter(t => ids.includes(t.id))
+    if (!dry) {
+      for (const t of targets) logAction('decision', { topic: topic.name, targetId: t.id, details: { decision: approved.includes(t) ? 'approve' : 'skip', type: kind } })
+    }
+  }
+
+  let done = 0
+  try {
+    for (const tweet of approved) {
+      await performSocialAction(kind, tweet, topic.name, dry)
+      done++
+      await sleep(2000)
+    }
+  } catch (err) {
+    if (!err.guardrail) throw err
+  }
+  if (approved.length) logger.info(`Bot: ${kind} — ${done} of ${approved.length} done`)
+}
+
+// Ranked tweets worth a retweet / bookmark, or one tweet per author worth a follow
+function socialTargets(kind, ranked, opts, settings) {
+  if (kind === 'follow') {
+    const own = settings.username?.replace(/^@/, '').toLowerCase()
+    const seen = new Set()
+    return ranked.map(s => s.tweet).filter(t => {
+      const handle = t.author.toLowerCase()
+      if (handle === own || seen.has(handle)) return false
+      seen.add(handle)
+      return (t.authorFollowers ?? 0) >= opts.minFollowers && !hasFollowed(handle) && !hasPendingFollow(handle)
+    })
+  }
+  const done = kind === 'retweet' ? id => hasRetweeted(id) || hasUnretweeted(id) : hasBookmarked
+  return ranked
+    .filter(s => s.score >= opts.minScore && !done(s.tweet.id) && !hasPendingDraft(kind, s.tweet.id))
+    .map(s => ({ ...s.tweet, score: s.score }))
+}
+
+// A queued retweet / follow / bookmark: tick it or not, like in a live cycle
+async function reviewSocialDraft(draft) {
+  const t = draft.targetTweet
+  const ids = await approveTargets({ kind: draft.type, topic: draft.topic, targets: [{ value: t.id, label: socialLabel(draft.type, t), detail: t.text }] })
+  const action = ids.length ? 'post' : 'skip'
+  logDecision(draft, action === 'post' ? 'approve' : 'skip')
+  return { action }
+}
+
+function socialLabel(kind, tweet) {
+  if (kind === 'follow') return `@${tweet.author}${tweet.authorFollowers != null ? ` · ${tweet.authorFollowers.toLocaleString()} followers` : ''}`
+  return `@${tweet.author} · score ${Math.round(tweet.score)} · ${tweet.likes}❤️ ${tweet.retweets}🔁`
+}
+
+// Also the publish step for queued retweet / follow / bookmark drafts (see publishDraft)
+async function performSocialAction(kind, tweet, topicName, dry) {
+  const client = dry ? dryRun : twitter
+  switch (kind) {
+    case 'retweet': {
+      const res = await client.retweet(tweet.id)
+      if (!dry) { markRetweeted(tweet.id); logAction('retweet', { topic: topicName, targetId: tweet.id, tweetIds: res?.id ? [res.id] : [] }) }
+      logger.info(`Bot: retweeted @${tweet.author}`)
+      return res
+    }
+    case 'follow': {
+      const res = await client.followUser(tweet.author, tweet.authorId)
+      if (!dry) { markFollowed(tweet.author, res?.userId); logAction('follow', { topic: topicName, targetId: tweet.id, details: { username: tweet.author, userId: res?.userId } }) }
+      logger.info(`Bot: followed @${tweet.author}`)
+      return res
+    }
+    case 'bookmark': {
+      const res = await client.bookmarkTweet(tweet.id)
+      if (!dry) { markBookmarked(tweet.id); logAction('bookmark', { topic: topicName, targetId: tweet.id }) }
+      logger.info(`Bot: bookmarked @${tweet.author}'s tweet ${tweet.id}`)
+      return res
+    }
+    default: throw new Error(`Unknown social action: ${kind}`)
+  }
+}
+
+/**
+ * Undo a retweet (npm run unretweet -- <tweet ID or URL>). The tweet's
+ * retweet mark is cleared and the unretweet is remembered, so topic cycles
+ * won't retweet it again. Throws if X fails.
+ * @param {string} tweetId - The original tweet, not the retweet
+ */
+export async function undoRetweet(tweetId) {
+  const dry = dryRun.isDryRun()
+  if (!hasRetweeted(tweetId)) logger.warn(`Bot: no retweet of ${tweetId} in the history — asking X to undo it anyway`)
+  await writer().unretweet(tweetId)
+  if (!dry) { markUnretweeted(tweetId); logAction('unretweet', { targetId: tweetId }) }
+  logger.info(`Bot: unretweeted ${tweetId}`)
+}
+
+// ── Mentions inbox ────────────────────────────────────────────────────────────
+
+const MENTIONS_TOPIC = 'Mentions'
+
+const MENTION_DEFAULTS = {
+  enabled: false,
+  fetchCount: 40,
+  maxAgeHours: 48,
+  replyTo: ['question', 'criticism'],
+  likePraise: true,
+}
+
+/**
+ * Triage new replies and mentions directed at us and draft replies to the
+ * ones worth answering (settings.mentions.replyTo), through the normal
+ * approval flow. Praise is liked (likePraise), spam ignored. Every triaged
+ * mention is recorded in state so it's never looked at twice — except those
+ * left for later because a guardrail or the model got in the way.
+ * @param {object} settings - Bot settings
+ */
+export async function runMentionsCycle(settings) {
+  const opts = { ...MENTION_DEFAULTS, ...settings.mentions }
+  const own  = settings.username?.replace(/^@/, '').toLowerCase()
+  const dry  = dryRun.isDryRun() || undefined
+  logger.info('Bot: checking mentions')
+
+  let fetched
+  try {
+    fetched = await getMentions(opts.fetchCount)
+  } catch (err) {
+    // Nothing was triaged, so the next poll sees the same mentions again
+    logger.error(`Bot: mentions fetch failed — ${err.message}; retrying on the next poll`)
+    if (!dry) logAction('fetch', { topic: MENTIONS_TOPIC, details: { source: 'mentions', count: 0, failed: [{ source: 'mentions', error: err.message }] } })
+    return
+  }
+
+  const cutoff = Date.now() - opts.maxAgeHours * 60 * 60 * 1000
+  const mentions = fetched
+    .filter(m => m.author.toLowerCase() !== own)
+    .filter(m => !m.createdAt || m.createdAt.getTime() >= cutoff)
+    .filter(m => !hasHandledMention(m.id) && !hasRepliedTo(m.id) && !hasPendingDraft('reply', m.id))
+
+  if (!dry) logAction('fetch', { topic: MENTIONS_TOPIC, details: { source: 'mentions', count: mentions.length } })
+  if (!mentions.length) { logger.info('Bot: no new mentions'); return }
+
+  const triage = await triageMentions(mentions)
+  if (!triage) return
+  const counts = {}
+  for (const t of triage) counts[t.category] = (counts[t.category] ?? 0) + 1
+  logger.info(`Bot: ${mentions.length} new mention(s) — ${Object.entries(counts).map(([k, n]) => `${n} ${k}`).join(', ')}`)
+  if (!dry) logAction('analysis', { topic: MENTIONS_TOPIC, details: { source: 'mentions', categories: counts } })
+
+  const handled = (mention, category, outcome) => {
+    if (!dry) markMentionHandled({ id: mention.id, author: mention.author, category, outcome })
+  }
+
+  for (const [i, mention] of mentions.entries()) {
+    const { category, reply, reason } = triage[i]
+
+    if (!reply || !opts.replyTo.includes(category)) {
+      if (category === 'praise' && opts.likePraise && settings.actions?.like && allowed('like')) {
+        try {
+          await writer().likeTweet(mention.id)
+          if (!dry) logAction('like', { topic: MENTIONS_TOPIC, targetId: mention.id })
+          handled(mention, category, 'liked')
+          continue
+        } catch (err) {
+          if (!err.guardrail) logger.warn(`Bot: could not like mention ${mention.id} — ${err.message}`)
+        }
+      }
+      handled(mention, category, 'ignored')
+      continue
+    }
+
+    // Out of replies for now — the rest stay unhandled for the next cycle
+    if (!allowed('reply')) break
+
+    logger.info(`Bot: drafting reply to @${mention.author} (${category})`)
+    const draft = {
+      type: 'reply', topic: MENTIONS_TOPIC,
+      ...toneFields({ name: MENTIONS_TOPIC }, 'reply', settings), ...candidateFields('reply', settings), ...languageFields({}, mention, settings),
+      targetTweet: mention, conversation: await fetchConversation(mention, settings), mention: { category, reason },
+      style: settings.defaultStyle, dryRun: dry, media: [], mediaDir: settings.mediaFolder ?? null,
+    }
+    draft.text = await generateDraft(draft)
+    if (!draft.text) continue
+
+    handled(mention, category, 'drafted')
+    await handleDraft(draft, settings)
+  }
+}
+
+// ── Drafts ────────────────────────────────────────────────────────────────────
+// A draft is everything needed to show, regenerate and post one action:
+//   { type: 'tweet'|'reply'|'quote'|'thread', text, tone, topic, style,
+//     subject?, themes?, avoid?   — original tweets and threads
+//     parts?, count?, postedIds?  — threads (postedIds grows as parts go out)
+//     targetTweet?               — replies and quotes
+//     conversation?              — { parents, replies } around the target (settings.conversation)
+//     lang?                      — language the content is written in: the target's, or the topic's first
+//     reviewLang?, translation?, targetTranslation? — back-translation for the reviewer (settings.multilingual)
+//     mention?                   — { category, reason } for replies from the mentions inbox
+//     media?, mediaDir?          — attachments [{ path, altText }] and the folder to pick from
+//     analysis?                  — { summary, themes, sentiment } of the cycle
+//     ai?                        — the topic's per-action model overrides (topic.ai)
+//     duplicateOf?               — the past post the content is too close to, if any
+//     toneReason?                — why the bandit picked the starting tone (settings.adaptiveTone)
+//     allowedTones?              — the topic's tone palette, null for all tones
+//     candidateCount?, varyTones? — how many versions to generate (settings.candidates)
+//     candidates?                — [{ text, tone, duplicateOf, translation? }] while there is more than one to pick from
+//     choice?                    — which candidate was picked or merged, kept for the history }
+// The same object is what gets persisted in the approval queue.
+
+/**
+ * (Re)generate the content for a draft using its stored context.
+ * The result is checked against our posting history: a near-duplicate is
+ * regenerated (settings.duplicates.onDuplicate = "regenerate") up to
+ * maxRegenerations times, and whatever is still too close is flagged on
+ * draft.duplicateOf so the approver can warn about it.
+ *
+ * With draft.candidateCount > 1 (not for threads) that many versions are
+ * generated in parallel into draft.candidates — with varyTones, each extra
+ * one in another tone from the topic's palette. The first is returned.
+ * @param {object} draft
+ * @param {string} [tone] - Defaults to the draft's current tone
+ * @returns {Promise<string|string[]|null>} text, or one string per part for threads
+ */
+export async function generateDraft(draft, tone = draft.tone) {
+  const count = draft.type === 'thread' ? 1 : draft.candidateCount ?? 1
+  if (count <= 1) {
+    const { content, duplicateOf } = await generateChecked(draft, tone)
+    if (content) draft.duplicateOf = duplicateOf
+    return content
+  }
+
+  const tones = candidateTones(draft, tone, count)
+  logger.info(`Bot: generating ${count} ${draft.type} candidates${draft.varyTones ? ` (${tones.map(t => t ?? 'default').join(', ')})` : ''}`)
+  const results = (await Promise.all(tones.map(t => generateChecked(draft, t)))).filter(r => r.content)
+  if (!results.length) return null
+
+  draft.candidates  = results.map(r => ({ text: r.content, tone: r.tone, duplicateOf: r.duplicateOf }))
+  draft.duplicateOf = results[0].duplicateOf
+  return results[0].content
+}
+
+// One generation with the duplicate check and regenerate loop
+async function generateChecked(draft, tone) {
+  const { onDuplicate, maxRegenerations } = duplicateRules()
+  let content = await generateContent(draft, tone)
+  let match   = content && await findDuplicate(joinContent(content))
+
+  for (let i = 0; match && onDuplicate === 'regenerate' && i < maxRegenerations; i++) {
+    logger.info(`Bot: ${draft.type} draft is ${describeDuplicate(match)} — regenerating`)
+    content = await generateContent(draft, tone, match)
+    match   = content && await findDuplicate(joinContent(content))
+  }
+
+  if (match) logger.warn(`Bot: ${draft.type} draft is ${describeDuplicate(match)}`)
+  return { content, tone, duplicateOf: match ? duplicateInfo(match) : null }
+}
+
+function duplicateInfo(match) {
+  return { id: match.id, type: match.type, text: match.text, at: match.at, score: match.score, method: match.method }
+}
+
+// The requested tone first; with varyTones the rest get other tones from the
+// palette, picked at random (the requested one again once it runs out)
+function candidateTones(draft, tone, count) {
+  if (!draft.varyTones) return Array(count).fill(tone)
+  const others = listTones(draft.allowedTones).map(t => t.value).filter(v => v !== tone)
+    .sort(() => Math.random() - 0.5)
+  return [tone, ...Array.from({ length: count - 1 }, (_, i) => others[i] ?? tone)]
+}
+
+/**
+ * Back-translate a draft written in another language than draft.reviewLang —
+ * the target tweet, the content and any candidates — so the reviewer can
+ * follow it. Only what isn't translated yet, in one LLM call. A failed call
+ * leaves the draft without translations.
+ * @param {object} draft
+ */
+export async function translateDraft(draft) {
+  if (!draft.reviewLang || !isKnownLanguage(draft.lang) || draft.lang === draft.reviewLang) return
+
+  const jobs = []
+  const target = draft.targetTweet
+  if (target && !draft.targetTranslation && isKnownLanguage(target.lang) && target.lang !== draft.reviewLang) {
+    jobs.push([target.text, t => { draft.targetTranslation = t }])
+  }
+  // With candidates on screen, draft.text is just the first of them
+  if (draft.text && !(draft.candidates?.length > 1) && draft.translation?.of !== draft.text) {
+    const of = draft.text
+    jobs.push([of, t => { draft.translation = { of, text: t } }])
+  }
+  for (const cand of draft.candidates ?? []) {
+    if (!cand.translation) jobs.push([cand.text, t => { cand.translation = t }])
+  }
+  if (!jobs.length) return
+
+  const out = await translateTexts(jobs.map(([text]) => text), draft.reviewLang, draft.ai)
+  if (out) jobs.forEach(([, set], i) => set(out[i]))
+}
+
+/**
+ * Make one of draft.candidates the draft's content.
+ * @param {object} draft
+ * @param {number} index - 0-based
+ */
+export function chooseCandidate(draft, index) {
+  const picked = draft.candidates[index]
+  if (!picked) throw new Error(`No candidate ${index + 1}`)
+
+  draft.choice = { candidate: index + 1, of: draft.candidates.length, tones: draft.candidates.map(c => c.tone ?? null) }
+  if (picked.tone !== draft.tone) draft.toneReason = null
+  draft.tone        = picked.tone
+  draft.text        = picked.text
+  draft.duplicateOf = picked.duplicateOf
+  draft.translation = picked.translation ? { of: picked.text, text: picked.translation } : null
+  draft.candidates  = null
+}
+
+/**
+ * Merge some of draft.candidates into one text with the LLM and make it the
+ * draft's content. Leaves the candidates in place if the merge fails.
+ * @param {object}   draft
+ * @param {number[]} indexes - 0-based, at least two
+ * @returns {Promise<string|null>} the merged text
+ */
+export async function mergeDraftCandidates(draft, indexes) {
+  const picked = indexes.map(i => draft.candidates[i]).filter(Boolean)
+  if (picked.length < 2) throw new Error('Pick at least two candidates to merge')
+
+  const tones = [...new Set(picked.map(c => c.tone ?? null))]
+  const tone  = tones.length === 1 ? tones[0] : null
+  const text  = await mergeCandidates(picked.map(c => c.text), draft.type, draft.targetTweet, draft.style, tone, draft.ai)
+  if (!text) return null
+
+  const match = await findDuplicate(text)
+  draft.choice = { merged: indexes.map(i => i + 1), of: draft.candidates.length, tones: draft.candidates.map(c => c.tone ?? null) }
+  if (tone !== draft.tone) draft.toneReason = null
+  draft.tone        = tone
+  draft.text        = text
+  draft.duplicateOf = match ? duplicateInfo(match) : null
+  draft.candidates  = null
+  return text
+}
+
+// `similar` is a past post the last attempt was too close to — original
+// tweets and threads are told to stay away from it
+function generateContent(draft, tone, similar = null) {
+  const avoid = similar ? [...(draft.avoid ?? []), `the same point as this earlier post: "${similar.text}"`] : draft.avoid
+  switch (draft.type) {
+    case 'tweet': return generateTweet(draft.subject, draft.themes, draft.style, avoid, tone, draft.ai, draft.lang)
+    case 'thread': return generateThread(draft.subject, draft.count, draft.themes, draft.style, avoid, tone, draft.ai, draft.lang)
+    case 'reply': return draft.mention
+      ? generateMentionReply(draft.targetTweet, draft.mention.category, draft.style, tone, draft.ai, draft.conversation)
+      : generateReply(draft.targetTweet, draft.topic, draft.style, tone, draft.ai, draft.conversation)
+    case 'quote': return generateQuoteComment(draft.targetTweet, draft.topic, draft.style, tone, draft.ai, draft.conversation)
+    default: throw new Error(`Unknown draft type: ${draft.type}`)
+  }
+}
+
+/**
+ * Store generated content on a draft. Threads keep their parts, plus the
+ * joined text so they can be logged and compared like any other draft.
+ */
+export function setContent(draft, content) {
+  if (!content) return
+  if (draft.type === 'thread') draft.parts = content
+  draft.text = joinContent(content)
+}
+
+function joinContent(content) {
+  return Array.isArray(content) ? content.join('\n\n') : content
+}
+
+/**
+ * Show a draft in the approver until the user posts or skips it.
+ * "Change tone" regenerates in place, so the draft's content and tone are
+ * updated to whatever was last shown. Queued retweets, follows and bookmarks
+ * are just ticked or skipped.
+ * @param {object} draft
+ * @returns {Promise<{ action: 'post'|'skip', text: string, parts?: string[] }>}
+ */
+export async function reviewDraft(draft) {
+  if (SOCIAL_KINDS.includes(draft.type)) return reviewSocialDraft(draft)
+
+  let result
+  do {
+    await translateDraft(draft)
+    if (draft.candidates?.length > 1) {
+      result = await reviewCandidates(draft)
+      if (result?.action === 'skip') break
+      if (result?.action === 'regenerate') continue
+    }
+
+    result = await approveAction(draft)
+    if (result.action === 'regenerate') {
+      logDecision(draft, 'tone', { from: draft.tone ?? null, to: result.tone })
+      const content = await generateDraft(draft, result.tone)
+      if (!content) { result = { action: 'skip', text: draft.text }; break }
+      draft.tone = result.tone
+      draft.toneReason = null
+      setContent(draft, content)
+    }
+  } while (result.action === 'regenerate')
+
+  const edited = result.action === 'post' && (result.parts ? joinContent(result.parts) : result.text) !== draft.text
+  logDecision(draft, result.action === 'skip' ? 'skip' : edited ? 'edit' : 'approve', {
+    ...(edited ? { original: draft.text } : {}),
+    ...(draft.choice ? { choice: draft.choice } : {}),
+  })
+  if (result.parts) setContent(draft, result.parts)
+  if (result.media) draft.media = result.media
+  return result
+}
+
+// The side-by-side step: returns a skip / regenerate result, or null once
+// a candidate has been picked or merged into draft.text
+async function reviewCandidates(draft) {
+  while (true) {
+    const pick = await pickCandidate(draft)
+
+    if (pick.action === 'skip') return { action: 'skip', text: draft.text }
+
+    if (pick.action === 'regenerate') {
+      logDecision(draft, 'tone', { from: draft.tone ?? null, to: pick.tone })
+      const content = await generateDraft(draft, pick.tone)
+      if (!content) return { action: 'skip', text: draft.text }
+      draft.tone = pick.tone
+      draft.toneReason = null
+      setContent(draft, content)
+      return { action: 'regenerate' }
+    }
+
+    if (pick.action === 'merge') {
+      if (await mergeDraftCandidates(draft, pick.indexes)) {
+        await translateDraft(draft)
+        return null
+      }
+      logger.warn('Bot: merge failed — pick again')
+      continue
+    }
+
+    chooseCandidate(draft, pick.index)
+    await translateDraft(draft)
+    return null
+  }
+}
+
+/**
+ * Post an approved draft and record it in state.
+ * Attachments in draft.media are uploaded first.
+ * Dry-run drafts (or any draft while dry-run mode is on) go to the recorder
+ * and leave state untouched.
+ * Throws if the X API call fails.
+ * @param {object} draft
+ * @param {string|string[]} text - Final (possibly edited) text, or parts for a thread
+ */
+export async function publishDraft(draft, text) {
+  const target = draft.targetTweet
+  const dry    = draft.dryRun || dryRun.isDryRun()
+  const client = dry ? dryRun : twitter
+
+  if (draft.type === 'thread') return publishThread(draft, text, client, dry)
+  if (SOCIAL_KINDS.includes(draft.type)) return performSocialAction(draft.type, target, draft.topic, dry)
+
+  const mediaIds = []
+  for (const m of draft.media ?? []) mediaIds.push(await client.uploadMedia(m.path, m.altText))
+
+  switch (draft.type) {
+    case 'tweet': {
+      const res = await client.postTweet(text, mediaIds)
+      if (res?.id && !dry) { markPosted(res.id); remember(draft, [res.id], text) }
+      logger.info('Bot: original tweet posted')
+      return res
+    }
+    case 'reply': {
+      const res = await client.replyToTweet(text, target.id, mediaIds)
+      if (!dry) { markReplied(target.id); remember(draft, [res?.id], text) }
+      logger.info(`Bot: replied to @${target.author}`)
+      return res
+    }
+    case 'quote': {
+      const res = await client.quoteTweet(text, target.id, target.author, mediaIds)
+      if (!dry) { markQuoted(target.id); remember(draft, [res?.id], text) }
+      logger.info(`Bot: quote-tweeted @${target.author}`)
+      return res
+    }
+    default: throw new Error(`Unknown draft type: ${draft.type}`)
+  }
+}
+
+/**
+ * Post a thread part by part, each one replying to the previous part.
+ * Progress is kept on draft.postedIds and in state after every part, so if
+ * X fails halfway the thread can be resumed from the first unposted part.
+ */
+async function publishThread(draft, parts, client, dry) {
+  const ids = draft.postedIds ?? []
+  draft.postedIds = ids
+
+  for (let i = ids.length; i < parts.length; i++) {
+    const prevId = ids.at(-1)
+    const res = prevId ? await client.replyToTweet(parts[i], prevId, [], { threadPart: true }) : await client.postTweet(parts[i])
+    if (!res?.id) throw new Error(`X returned no tweet ID for part ${i + 1}/${parts.length}`)
+
+    ids.push(res.id)
+    if (!dry) markThread({ rootId: ids[0], ids: [...ids], parts, topic: draft.topic, complete: ids.length === parts.length })
+    if (i < parts.length - 1) await sleep(2000)
+  }
+
+  if (!dry) remember(draft, ids, joinContent(parts))
+  logger.info(`Bot: thread posted (${parts.length} parts)`)
+  return { id: ids[0], ids }
+}
+
+// Keep the posted text for duplicate detection, and the post in the action history
+function remember(draft, ids, text) {
+  ids = ids.filter(Boolean)
+  recordPost({ id: ids[0] ?? null, type: draft.type, text, topic: draft.topic, tone: draft.tone ?? null })
+  logAction(draft.type, { topic: draft.topic, tone: draft.tone, targetId: draft.targetTweet?.id, tweetIds: ids, text, details: { media: draft.media?.length || undefined, choice: draft.choice } })
+}
+
+/**
+ * Record an approval decision in the action history — not for dry-run drafts,
+ * which would otherwise count as real skips and edits for the tone bandit.
+ * @param {object} draft
+ * @param {'approve'|'edit'|'tone'|'skip'} decision
+ * @param {object} [details] - e.g. { from, to } for a tone change, { original } for an edit
+ */
+export function logDecision(draft, decision, details = {}) {
+  if (draft.dryRun || dryRun.isDryRun()) return
+  logAction('decision', {
+    topic: draft.topic, tone: draft.tone, targetId: draft.targetTweet?.id, text: draft.text,
+    details: { decision, type: draft.type, draftId: draft.id, dryRun: draft.dryRun, ...details },
+  })
+}
+
+/** True if the draft's target was already replied to / quoted / retweeted / followed / bookmarked since it was generated. */
+export function isAlreadyHandled(draft) {
+  if (draft.type === 'reply') return hasRepliedTo(draft.targetTweet.id)
+  if (draft.type === 'quote') return hasQuoted(draft.targetTweet.id)
+  if (draft.type === 'retweet') return hasRetweeted(draft.targetTweet.id)
+  if (draft.type === 'follow') return hasFollowed(draft.targetTweet.author)
+  if (draft.type === 'bookmark') return hasBookmarked(draft.targetTweet.id)
+  return false
+}
+
+/**
+ * Route a freshly generated draft: interactive review when someone is at the
+ * terminal, otherwise (or with settings.queue.always) into the approval queue.
+ */
+async function handleDraft(draft, settings) {
+  const queued = !isInteractive() || settings.queue?.always
+  if (!draft.dryRun) logAction('draft', {
+    topic: draft.topic, tone: draft.tone, targetId: draft.targetTweet?.id, text: draft.text,
+    details: { type: draft.type, queued, duplicateOf: draft.duplicateOf?.id, candidates: draft.candidates?.map(c => ({ tone: c.tone, text: c.text })) },
+  })
+
+  if (queued) {
+    await translateDraft(draft)
+    enqueueDraft(draft, settings)
+    return
+  }
+
+  const result = await reviewDraft(draft)
+  if (result.action !== 'post') return
+
+  try {
+    await publishDraft(draft, result.parts ?? result.text)
+    await sleep(settings.delayBetweenActions ?? 5000)
+  } catch (err) {
+    logger.error(`Bot: ${draft.type} failed:`, err.message)
+    if (err.guardrail && !draft.postedIds?.length) {
+      // Approved but not allowed right now — keep it for npm run review / the dashboard
+      logger.warn(`Bot: ${draft.type} queued until the guardrails allow it`)
+      enqueueDraft(draft, settings)
+    } else if (draft.type === 'thread' && draft.postedIds?.length) {
+      // Half-posted thread — keep it so the rest can be posted from npm run review
+      logger.warn(`Bot: thread stopped after ${draft.postedIds.length}/${draft.parts.length} parts — queued to resume`)
+      enqueueDraft(draft, settings)
+    }
+  }
+}
+
+/**
+ * Tone fields for a new draft: the topic's palette, and a starting tone —
+ * the bandit's pick when settings.adaptiveTone is enabled, otherwise the
+ * topic's defaultTone (or none).
+ */
+function toneFields(topic, type, settings) {
+  const allowedTones = topic.allowedTones ?? null
+  if (!settings.adaptiveTone?.enabled) return { tone: topic.defaultTone ?? null, allowedTones }
+
+  const { tone, reason } = pickTone(topic.name, type, settings.adaptiveTone, allowedTones)
+  logger.info(`Bot: starting ${type} as ${reason}`)
+  return { tone, toneReason: reason, allowedTones }
+}
+
+/**
+ * Language fields for a new draft: replies and quotes are written in the
+ * target's language, original posts in the topic's first language (none
+ * means the model's default). reviewLang is set when back-translation is on.
+ */
+function languageFields(topic, target, settings) {
+  const opts = { ...MULTILINGUAL_DEFAULTS, ...settings.multilingual }
+  const lang = target ? target.lang : topic.languages?.[0]
+  return { lang: isKnownLanguage(lang) ? lang : null, reviewLang: opts.backTranslate ? opts.reviewLanguage : null }
+}
+
+/** How many candidates to generate for a new draft (settings.candidates). */
+function candidateFields(type, settings) {
+  const opts = settings.candidates ?? {}
+  return { candidateCount: Math.max(1, opts[type] ?? 1), varyTones: !!opts.varyTones }
+}
+
+/**
+ * The thread around a reply or quote target (settings.conversation), or null
+ * when it's disabled or the fetch failed — the draft is written without it.
+ */
+async function fetchConversation(tweet, settings) {
+  const opts = { ...CONVERSATION_DEFAULTS, ...settings.conversation }
+  if (!opts.enabled) return null
+  return getConversation(tweet.id, opts)
+}
+
+/**
+ * Pre-check the guardrails before spending an LLM call on a draft.
+ * A minimum-gap block doesn't count — it has usually passed by the time the
+ * draft is approved, and twitter.js enforces it on the write itself.
+ * A dry run never writes to X, so it only reports what a live run would skip.
+ */
+function allowed(kind) {
+  const check = checkWrite(kind)
+  if (check.ok || check.waitMs != null) return true
+  if (dryRun.isDryRun()) {
+    logger.info(`Bot: dry run — a live run would skip ${kind} (${check.reason})`)
+    return true
+  }
+  logger.info(`Bot: skipping ${kind} — ${check.reason}`)
+  return false
+}
+
+/** The write client for this run — X itself, or the dry-run recorder. */
+function writer() {
+  return dryRun.isDryRun() ? dryRun : twitter
+}
+
+/**
+ * Run fn over items, at most `limit` at a time. Results keep the items'
+ * order, each { value } or { error } — one failure doesn't stop the rest.
+ */
+async function mapSettled(items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++
+      try {
+        results[i] = { value: await fn(items[i]) }
+      } catch (error) {
+        results[i] = { error }
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker))
+  return results
 }
 
 function randomPick(arr) { return arr[Math.floor(Math.random() * arr.length)] }
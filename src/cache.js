@@ -0,0 +1,170 @@
+/**
+ * Read cache for X lookups that don't need to be fresh on every call.
+ *
+ *   userId   — screen name → numeric ID, kept in SQLite (data/echomind.db)
+ *              for userIdTtlDays. IDs practically never change, so every
+ *              account-based topic skips UserByScreenName after the first run.
+ *   search   — search results per query, mode and count, in memory for
+ *              searchTtlMinutes. since_time: / until_time: are rounded down
+ *              to the TTL in the key, since a relative bound ("2d") moves
+ *              every second.
+ *   timeline — account and home timelines, in memory for timelineTtlMinutes.
+ *
+ * A fetch that fails throws past the cache, so nothing is stored for it.
+ * Empty results aren't stored either — a search that found nothing is tried
+ * again next time instead of sticking for the TTL. Hits and misses are
+ * counted per kind and logged with each cycle. `--no-cache` turns all of it
+ * off for one run; the stored user IDs are left alone.
+ */
+import { getDb } from './state.js'
+import logger from './logger.js'
+
+const MINUTE = 60 * 1000
+const DAY = 24 * 60 * MINUTE
+
+const DEFAULTS = {
+  enabled: true,
+  userIdTtlDays: 30,
+  searchTtlMinutes: 5,
+  timelineTtlMinutes: 5,
+}
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS user_ids (
+    screen_name TEXT PRIMARY KEY,            -- lowercased, without @
+    user_id     TEXT NOT NULL,
+    at          TEXT NOT NULL
+  );
+`
+
+let rules = { ...DEFAULTS }
+let schemaReady = false
+
+// kind → Map(key → { value, expires })
+const entries = { search: new Map(), timeline: new Map() }
+// kind → { hits, misses }
+const stats = { userId: { hits: 0, misses: 0 }, search: { hits: 0, misses: 0 }, timeline: { hits: 0, misses: 0 } }
+
+/**
+ * Apply settings.cache; throws listing every problem.
+ * @param {object} [settings] - settings.cache
+ */
+export function configureCache(settings = {}) {
+  const problems = []
+  for (const [key, value] of Object.entries(settings)) {
+    if (key.startsWith('_')) continue
+    if (!(key in DEFAULTS)) problems.push(`settings.cache: unknown option "${key}"`)
+    else if (key === 'enabled' && typeof value !== 'boolean') problems.push('settings.cache: enabled must be true or false')
+    else if (key !== 'enabled' && !(typeof value === 'number' && value >= 0)) problems.push(`settings.cache: ${key} must be a number ≥ 0 (0 turns that cache off)`)
+  }
+  if (problems.length) throw new Error(`Invalid cache settings:\n  ${problems.join('\n  ')}`)
+
+  rules = { ...DEFAULTS, ...settings }
+  entries.search.clear()
+  entries.timeline.clear()
+  if (!rules.enabled) logger.info('Cache: off — every lookup goes to X')
+}
+
+/**
+ * A stored user ID, or null when there's none younger than userIdTtlDays.
+ * Counts a hit or a miss.
+ * @param {string} screenName
+ * @returns {string|null}
+ */
+export function cachedUserId(screenName) {
+  if (!rules.enabled || !rules.userIdTtlDays) return null
+  ensureSchema()
+  const row = getDb().prepare('SELECT user_id, at FROM user_ids WHERE screen_name = ?').get(handleKey(screenName))
+  const fresh = row && Date.now() - new Date(row.at).getTime() < rules.userIdTtlDays * DAY
+  stats.userId[fresh ? 'hits' : 'misses']++
+  return fresh ? row.user_id : null
+}
+
+/**
+ * Store a resolved user ID.
+ * @param {string} screenName
+ * @param {string} userId
+ */
+export function rememberUserId(screenName, userId) {
+  if (!rules.enabled || !rules.userIdTtlDays || !userId) return
+  ensureSchema()
+  getDb().prepare(`
+    INSERT INTO user_ids (screen_name, user_id, at) VALUES (?, ?, ?)
+    ON CONFLICT (screen_name) DO UPDATE SET user_id = excluded.user_id, at = excluded.at
+  `).run(handleKey(screenName), String(userId), new Date().toISOString())
+}
+
+/**
+ * Return the cached result for key, or run fetch and cache what it returns.
+ * Callers get their own copy, so changing it doesn't change the cache.
+ * @param {'search'|'timeline'} kind
+ * @param {string}   key
+ * @param {() => Promise<object[]>} fetch
+ * @returns {Promise<object[]>}
+ */
+export async function cachedFetch(kind, key, fetch) {
+  const ttl = rules[`${kind}TtlMinutes`] * MINUTE
+  if (!rules.enabled || !ttl) return fetch()
+
+  const store = entries[kind]
+  const entry = store.get(key)
+  if (entry && entry.expires > Date.now()) {
+    stats[kind].hits++
+    logger.debug(`Cache: ${kind} hit for ${key}`)
+    return structuredClone(entry.value)
+  }
+
+  stats[kind].misses++
+  const value = await fetch()
+  if (value?.length) store.set(key, { value: structuredClone(value), expires: Date.now() + ttl })
+  prune(store)
+  return value
+}
+
+/**
+ * Cache key for a search query: since_time: / until_time: values rounded down
+ * to searchTtlMinutes. buildSearchQuery resolves a relative since ("2d") to
+ * the current second, so the raw query would never be seen twice.
+ * @param {string} query
+ * @returns {string}
+ */
+export function searchKey(query) {
+  const window = rules.searchTtlMinutes * 60
+  if (!window) return query
+  return query.replace(/\b(since_time|until_time):(\d+)/g, (_, op, t) => `${op}:${Math.floor(Number(t) / window) * window}`)
+}
+
+/**
+ * Hits and misses per kind since startup.
+ * @returns {{ kind: string, hits: number, misses: number }[]}
+ */
+export function getCacheStats() {
+  return Object.entries(stats).map(([kind, s]) => ({ kind, ...s }))
+}
+
+/** One-line summary for the logs, e.g. "userId 3/3 hits · search 1/4 hits". Empty when nothing was looked up. */
+export function cacheSummary() {
+  if (!rules.enabled) return ''
+  return getCacheStats()
+    .filter(s => s.hits + s.misses > 0)
+    .map(s => `${s.kind} ${s.hits}/${s.hits + s.misses} hits`)
+    .join(' · ')
+}
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+function ensureSchema() {
+  if (schemaReady) return
+  getDb().exec(SCHEMA)
+  schemaReady = true
+}
+
+function handleKey(screenName) {
+  return screenName.replace(/^@/, '').toLowerCase()
+}
+
+// Drop expired entries so a long-running daemon doesn't keep every query it ever ran
+function prune(store) {
+  const now = Date.now()
+  for (const [key, entry] of store) if (entry.expires <= now) store.delete(key)
+}
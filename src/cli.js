@@ -0,0 +1,20 @@
+/**
+ * Small argument helpers shared by the query commands (history, report).
+ */
+
+const UNITS = { m: 60_000, h: 3_600_000, d: 86_400_000 }
+
+/** Value after a flag: option(['--type', 'reply'], '--type') → 'reply'. */
+export function option(args, name) {
+  const i = args.indexOf(name)
+  return i !== -1 && args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : undefined
+}
+
+/** "30m", "12h", "7d" → that long ago in epoch ms; anything else is taken as a date. */
+export function parseSince(value) {
+  const m = value.match(/^(\d+)([mhd])$/)
+  if (m) return Date.now() - Number(m[1]) * UNITS[m[2]]
+  const ms = Date.parse(value)
+  if (Number.isNaN(ms)) throw new Error(`--since: expected e.g. 12h, 7d or a date, got "${value}"`)
+  return ms
+}
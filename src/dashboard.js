@@ -0,0 +1,479 @@
+/**
+ * Local web dashboard for the approval queue.
+ *
+ * A small built-in HTTP server that lists pending drafts and lets you
+ * approve, edit, change tone or skip them from a browser — or, for drafts
+ * with several candidates, pick or merge one. Queued retweets, follows and
+ * bookmarks are just approved or skipped. It binds to
+ * 127.0.0.1 only — reach it from another machine over an SSH tunnel:
+ *   ssh -L 8787:localhost:8787 bot-host   →   http://localhost:8787/#token=…
+ *
+ * Every /api request needs the dashboard token (Authorization: Bearer …).
+ * Approved drafts go through publishDraft(), the same post path and state
+ * updates as a live topic cycle.
+ */
+import http from 'http'
+import { randomBytes, timingSafeEqual } from 'crypto'
+import { generateDraft, setContent, publishDraft, isAlreadyHandled, logDecision, chooseCandidate, mergeDraftCandidates, translateDraft, SOCIAL_KINDS } from './bot.js'
+import { listPending, getDraft, updateDraft, resolveDraft } from './queue.js'
+import { TONES, getTone } from './tones.js'
+import logger from './logger.js'
+
+const HOST = '127.0.0.1'
+const MAX_CHARS = 280
+
+// Why a draft can't be approved any more (see isAlreadyHandled)
+const HANDLED = {
+  reply: 'Already replied to this tweet',
+  quote: 'Already quoted this tweet',
+  retweet: 'Already retweeted this tweet',
+  follow: 'Already following this account',
+  bookmark: 'Already bookmarked this tweet',
+}
+
+let server = null
+const busy = new Set() // draft IDs with a request in flight (two reviewers, one draft)
+
+/**
+ * Start the dashboard server.
+ * @param {object} settings - Bot settings (uses settings.dashboard)
+ * @returns {Promise<http.Server>}
+ */
+export function startDashboard(settings) {
+  const opts  = settings.dashboard ?? {}
+  const port  = opts.port ?? 8787
+  let token   = process.env.DASHBOARD_TOKEN || opts.token
+
+  if (!token) {
+    token = randomBytes(16).toString('hex')
+    logger.warn('Dashboard: no DASHBOARD_TOKEN set — generated a one-off token for this run')
+  }
+
+  server = http.createServer((req, res) => {
+    handle(req, res, token).catch(err => {
+      logger.error('Dashboard: request failed:', err.message)
+      sendJson(res, 500, { error: err.message })
+    })
+  })
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, HOST, () => {
+      logger.info(`Dashboard: listening on http://localhost:${port}/#token=${token}`)
+      resolve(server)
+    })
+  })
+}
+
+/** Stop accepting requests and close the server. */
+export function stopDashboard() {
+  if (!server) return Promise.resolve()
+  return new Promise(resolve => server.close(() => { server = null; resolve() }))
+}
+
+// ── Routing ──────────────────────────────────────────────────────
+
+async function handle(req, res, token) {
+  const url = new URL(req.url, `http://${HOST}`)
+
+  if (req.method === 'GET' && url.pathname === '/') {
+    res.writeHead(200, { 'content-type': 'text/html; charset=utf-8', 'cache-control': 'no-store' })
+    res.end(PAGE)
+    return
+  }
+
+  if (!url.pathname.startsWith('/api/')) return sendJson(res, 404, { error: 'Not found' })
+  if (!authorized(req, token)) return sendJson(res, 401, { error: 'Invalid or missing token' })
+
+  if (req.method === 'GET' && url.pathname === '/api/drafts') {
+    return sendJson(res, 200, {
+      drafts: listPending(),
+      tones: TONES.map(({ value, icon, label }) => ({ value, icon, label })),
+    })
+  }
+
+  const match = url.pathname.match(/^\/api\/drafts\/([\w-]+)\/(approve|tone|merge|skip)$/)
+  if (req.method !== 'POST' || !match) return sendJson(res, 404, { error: 'Not found' })
+
+  const [, id, action] = match
+  const draft = getDraft(id)
+  if (!draft || draft.status !== 'pending') return sendJson(res, 404, { error: 'Draft is no longer pending' })
+  if (busy.has(id)) return sendJson(res, 409, { error: 'Someone else is acting on this draft' })
+
+  busy.add(id)
+  try {
+    const body = await readJson(req)
+    if (action === 'approve') return await approve(res, draft, body)
+    if (action === 'tone')    return await changeTone(res, draft, body)
+    if (action === 'merge')   return await merge(res, draft, body)
+    logDecision(draft, 'skip', { via: 'dashboard' })
+    resolveDraft(id, 'skipped', { via: 'dashboard' })
+    logger.info(`Dashboard: skipped ${draft.type} draft ${id}`)
+    return sendJson(res, 200, { ok: true })
+  } finally {
+    busy.delete(id)
+  }
+}
+
+async function approve(res, draft, body) {
+  if (draft.type === 'thread') return approveThread(res, draft, body)
+  if (SOCIAL_KINDS.includes(draft.type)) return approveSocial(res, draft)
+
+  const text = typeof body.text === 'string' ? body.text.trim() : draft.text
+  const invalid = validateText(text)
+  if (invalid) return sendJson(res, 400, { error: invalid })
+
+  if (isAlreadyHandled(draft)) {
+    resolveDraft(draft.id, 'skipped', { reason: 'already handled' })
+    return sendJson(res, 409, { error: HANDLED[draft.type] })
+  }
+
+  // The page sends which candidate the text started from (1-based). It's chosen
+  // on a copy, so the queued draft keeps its candidates if publishing fails.
+  let chosen = draft
+  if (draft.candidates?.length > 1) {
+    const index = (Number(body.candidate) || 1) - 1
+    if (!draft.candidates[index]) return sendJson(res, 400, { error: `No candidate ${index + 1}` })
+    chosen = { ...draft }
+    chooseCandidate(chosen, index)
+  }
+  const choice = chosen.choice ? { tone: chosen.tone, toneReason: chosen.toneReason, choice: chosen.choice, candidates: null } : {}
+
+  const edited = text !== chosen.text
+  logDecision(chosen, edited ? 'edit' : 'approve', { via: 'dashboard', ...(edited ? { original: chosen.text } : {}), ...(chosen.choice ? { choice: chosen.choice } : {}) })
+  try {
+    const posted = await publishDraft(chosen, text)
+    resolveDraft(draft.id, 'posted', { ...choice, text, edited, postedId: posted?.id ?? null, via: 'dashboard' })
+    logger.info(`Dashboard: approved ${draft.type} draft ${draft.id}${edited ? ' (edited)' : ''}`)
+    return sendJson(res, 200, { ok: true, postedId: posted?.id ?? null })
+  } catch (err) {
+    // Leave it pending so it can be retried
+    logger.error(`Dashboard: ${draft.type} failed:`, err.message)
+    return sendJson(res, err.guardrail ? 429 : 502, { error: err.message })
+  }
+}
+
+// Threads: the body carries the (edited, reordered) parts; parts already
+// posted by an interrupted run must come first and unchanged.
+async function approveThread(res, draft, body) {
+  const parts  = Array.isArray(body.parts) ? body.parts.map(p => String(p).trim()) : draft.parts
+  const alreadyPosted = draft.postedIds?.length ?? 0
+
+  if (!parts.length) return sendJson(res, 400, { error: 'Thread has no parts' })
+  for (const [i, part] of parts.entries()) {
+    const invalid = validateText(part)
+    if (invalid) return sendJson(res, 400, { error: `Part ${i + 1}: ${invalid}` })
+    if (i < alreadyPosted && part !== draft.parts[i]) return sendJson(res, 400, { error: `Part ${i + 1} is already posted and can't change` })
+  }
+
+  const edited = parts.join('\n\n') !== draft.text
+  logDecision(draft, edited ? 'edit' : 'approve', { via: 'dashboard', ...(edited ? { original: draft.text } : {}) })
+  try {
+    setContent(draft, parts)
+    const thread = await publishDraft(draft, parts)
+    resolveDraft(draft.id, 'posted', { text: draft.text, parts, postedId: thread.id, postedIds: thread.ids, via: 'dashboard' })
+    logger.info(`Dashboard: approved thread draft ${draft.id} (${parts.length} parts)`)
+    return sendJson(res, 200, { ok: true, postedId: thread.id })
+  } catch (err) {
+    // Keep progress so the remaining parts can be posted on the next approve
+    updateDraft(draft.id, { text: draft.text, parts, postedIds: draft.postedIds })
+    logger.error('Dashboard: thread failed:', err.message)
+    return sendJson(res, err.guardrail ? 429 : 502, { error: `${err.message} — ${draft.postedIds?.length ?? 0}/${parts.length} parts posted, approve again to resume` })
+  }
+}
+
+// Retweet / follow / bookmark: nothing to edit, approving performs it
+async function approveSocial(res, draft) {
+  if (isAlreadyHandled(draft)) {
+    resolveDraft(draft.id, 'skipped', { reason: 'already handled' })
+    return sendJson(res, 409, { error: HANDLED[draft.type] })
+  }
+
+  logDecision(draft, 'approve', { via: 'dashboard' })
+  try {
+    const done = await publishDraft(draft)
+    resolveDraft(draft.id, 'posted', { postedId: done?.id ?? null, via: 'dashboard' })
+    logger.info(`Dashboard: approved ${draft.type} draft ${draft.id}`)
+    return sendJson(res, 200, { ok: true, postedId: done?.id ?? null })
+  } catch (err) {
+    // Leave it pending so it can be retried
+    logger.error(`Dashboard: ${draft.type} failed:`, err.message)
+    return sendJson(res, err.guardrail ? 429 : 502, { error: err.message })
+  }
+}
+
+async function changeTone(res, draft, body) {
+  if (SOCIAL_KINDS.includes(draft.type)) return sendJson(res, 400, { error: `A ${draft.type} has no text to regenerate` })
+  if (!getTone(body.tone)) return sendJson(res, 400, { error: `Unknown tone: ${body.tone}` })
+  if (draft.allowedTones?.length && !draft.allowedTones.includes(body.tone)) {
+    return sendJson(res, 400, { error: `Tone "${body.tone}" isn't allowed for topic "${draft.topic}"` })
+  }
+  if (draft.postedIds?.length) return sendJson(res, 409, { error: 'Thread is partly posted — tone can no longer change' })
+
+  logDecision(draft, 'tone', { via: 'dashboard', from: draft.tone ?? null, to: body.tone })
+  const content = await generateDraft(draft, body.tone)
+  if (!content) return sendJson(res, 502, { error: 'Regeneration failed' })
+
+  setContent(draft, content)
+  await translateDraft(draft)
+  const updated = updateDraft(draft.id, { text: draft.text, parts: draft.parts, tone: body.tone, toneReason: null, duplicateOf: draft.duplicateOf, candidates: draft.candidates, translation: draft.translation })
+  logger.info(`Dashboard: regenerated ${draft.type} draft ${draft.id} as ${body.tone}`)
+  return sendJson(res, 200, { draft: updated })
+}
+
+// Body: { candidates: [1, 3] } — 1-based, at least two
+async function merge(res, draft, body) {
+  if (!(draft.candidates?.length > 1)) return sendJson(res, 400, { error: 'Draft has no candidates to merge' })
+  const indexes = (Array.isArray(body.candidates) ? body.candidates : []).map(n => Number(n) - 1)
+  if (indexes.length < 2 || indexes.some(i => !draft.candidates[i])) return sendJson(res, 400, { error: 'Pick at least two existing candidates' })
+
+  const text = await mergeDraftCandidates(draft, indexes)
+  if (!text) return sendJson(res, 502, { error: 'Merge failed' })
+
+  await translateDraft(draft)
+  const updated = updateDraft(draft.id, { text, tone: draft.tone, toneReason: draft.toneReason, duplicateOf: draft.duplicateOf, candidates: null, choice: draft.choice, translation: draft.translation })
+  logger.info(`Dashboard: merged candidates ${indexes.map(i => i + 1).join(' + ')} of ${draft.type} draft ${draft.id}`)
+  return sendJson(res, 200, { draft: updated })
+}
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+function validateText(text) {
+  if (!text) return 'Text cannot be empty'
+  if (text.length > MAX_CHARS) return `Too long: ${text.length}/${MAX_CHARS} chars`
+  return null
+}
+
+function authorized(req, token) {
+  const given = (req.headers.authorization ?? '').replace(/^Bearer\s+/i, '')
+  const a = Buffer.from(given)
+  const b = Buffer.from(token)
+  return a.length === b.length && timingSafeEqual(a, b)
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let raw = ''
+    req.on('data', chunk => {
+      raw += chunk
+      if (raw.length > 64 * 1024) reject(new Error('Request body too large'))
+    })
+    req.on('end', () => {
+      try { resolve(raw ? JSON.parse(raw) : {}) } catch { reject(new Error('Invalid JSON body')) }
+    })
+    req.on('error', reject)
+  })
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'content-type': 'application/json; charset=utf-8', 'cache-control': 'no-store' })
+  res.end(JSON.stringify(data))
+}
+
+// ── Page ─────────────────────────────────────────────────────────
+// Single static page; all data comes from /api with the token from the URL hash.
+
+const PAGE = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>x-EchoMind — approval queue</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>
+  body { font: 15px/1.45 system-ui, sans-serif; background: #0f1419; color: #e7e9ea; margin: 0; padding: 24px; }
+  h1 { font-size: 20px; margin: 0 0 16px; color: #1d9bf0; }
+  .draft { border: 1px solid #2f3336; border-radius: 12px; padding: 16px; margin-bottom: 16px; max-width: 760px; }
+  .head { display: flex; gap: 8px; align-items: baseline; flex-wrap: wrap; color: #71767b; font-size: 13px; }
+  .type { font-weight: 700; color: #e7e9ea; }
+  .tag { background: #1e2732; border-radius: 6px; padding: 1px 6px; }
+  .orig { border-left: 3px solid #2f3336; padding: 4px 10px; margin: 10px 0; color: #a0a4a8; white-space: pre-wrap; }
+  .ctx { font-size: 13px; color: #71767b; margin: 8px 0; }
+  textarea { width: 100%; box-sizing: border-box; min-height: 90px; background: #16181c; color: #e7e9ea;
+             border: 1px solid #2f3336; border-radius: 8px; padding: 8px; font: inherit; }
+  .count { font-size: 12px; color: #71767b; text-align: right; }
+  .count.over { color: #f4212e; }
+  .part { margin-top: 10px; }
+  .part-head { display: flex; gap: 6px; align-items: center; font-size: 13px; color: #71767b; }
+  .part-head button { padding: 0 8px; font-size: 12px; }
+  .actions { display: flex; gap: 8px; margin-top: 8px; flex-wrap: wrap; }
+  button, select { font: inherit; border-radius: 999px; border: 1px solid #2f3336; background: #16181c; color: #e7e9ea; padding: 4px 14px; cursor: pointer; }
+  button.approve { background: #1d9bf0; border-color: #1d9bf0; }
+  button:disabled { opacity: .5; cursor: default; }
+  .err { color: #f4212e; font-size: 13px; }
+  .dup { color: #ffd400; font-size: 13px; margin: 8px 0; }
+  .cand { border: 1px solid #2f3336; border-radius: 8px; padding: 8px 10px; margin: 8px 0; white-space: pre-wrap; }
+  .cand.picked { border-color: #1d9bf0; }
+  .cand-head { display: flex; gap: 8px; align-items: center; font-size: 13px; color: #71767b; margin-bottom: 4px; white-space: normal; }
+  .cand-head button { padding: 0 8px; font-size: 12px; }
+  .empty { color: #71767b; }
+</style>
+</head>
+<body>
+<h1>✦ x-EchoMind — approval queue</h1>
+<div id="list"></div>
+<script>
+const token = new URLSearchParams(location.hash.slice(1)).get('token') || sessionStorage.getItem('token') || ''
+if (token) { sessionStorage.setItem('token', token); history.replaceState(null, '', location.pathname) }
+
+async function api(path, body) {
+  const res = await fetch(path, {
+    method: body ? 'POST' : 'GET',
+    headers: { authorization: 'Bearer ' + token, 'content-type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+  })
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(data.error || res.statusText)
+  return data
+}
+
+function el(tag, props = {}, ...children) {
+  const node = Object.assign(document.createElement(tag), props)
+  node.append(...children.filter(c => c != null))
+  return node
+}
+
+function editor(value, locked) {
+  const text = el('textarea', { value, disabled: locked })
+  const count = el('div', { className: 'count' })
+  const update = () => {
+    count.textContent = text.value.length + '/280'
+    count.className = 'count' + (text.value.length > 280 ? ' over' : '')
+  }
+  text.addEventListener('input', update)
+  update()
+  return { text, count }
+}
+
+// Thread parts: numbered editors with move up / down / delete; posted parts are locked
+function threadEditor(draft) {
+  const posted = (draft.postedIds || []).length
+  const parts = [...draft.parts]
+  const box = el('div')
+  const draw = () => {
+    box.replaceChildren(...parts.map((p, i) => {
+      const locked = i < posted
+      const { text, count } = editor(p, locked)
+      text.addEventListener('input', () => { parts[i] = text.value })
+      const move = (to) => { parts.splice(to, 0, parts.splice(i, 1)[0]); draw() }
+      return el('div', { className: 'part' },
+        el('div', { className: 'part-head' },
+          el('span', { textContent: (i + 1) + '/' + parts.length + (locked ? ' ✓ posted' : '') }),
+          locked ? null : el('button', { textContent: '↑', disabled: i <= posted, onclick: () => move(i - 1) }),
+          locked ? null : el('button', { textContent: '↓', disabled: i === parts.length - 1, onclick: () => move(i + 1) }),
+          locked ? null : el('button', { textContent: '🗑', disabled: parts.length - posted < 2, onclick: () => { parts.splice(i, 1); draw() } })),
+        text, count)
+    }))
+  }
+  draw()
+  return { node: box, value: () => parts }
+}
+
+// Candidates side by side: "Use" loads one into the editor below, the
+// checkboxes choose what "Merge checked" combines
+function candidatePicker(draft, single) {
+  let picked = 1
+  const boxes = draft.candidates.map((c, i) => {
+    const check = el('input', { type: 'checkbox', checked: true })
+    const box = el('div', { className: 'cand' + (i === 0 ? ' picked' : '') },
+      el('div', { className: 'cand-head' },
+        check,
+        el('span', { textContent: '#' + (i + 1) }),
+        c.tone ? el('span', { className: 'tag', textContent: c.tone }) : null,
+        el('span', { textContent: c.text.length + '/280' }),
+        c.duplicateOf ? el('span', { className: 'dup', textContent: '⚠ ' + Math.round(c.duplicateOf.score * 100) + '% like a past post' }) : null,
+        el('button', { textContent: 'Use', onclick: () => {
+          picked = i + 1
+          boxes.forEach((b, j) => b.box.classList.toggle('picked', j === i))
+          single.text.value = c.text
+          single.text.dispatchEvent(new Event('input'))
+        } })),
+      c.text,
+      c.translation ? el('div', { className: 'ctx', textContent: '↩ ' + c.translation }) : null)
+    return { box, check }
+  })
+  return {
+    node: el('div', {}, ...boxes.map(b => b.box)),
+    picked: () => picked,
+    checked: () => boxes.map((b, i) => b.check.checked ? i + 1 : null).filter(Boolean),
+  }
+}
+
+function render(draft, tones) {
+  const labels = { tweet: '📝 NEW TWEET', reply: '💬 REPLY', quote: '🔁 QUOTE TWEET', thread: '🧵 THREAD', retweet: '🔄 RETWEET', follow: '👤 FOLLOW', bookmark: '🔖 BOOKMARK' }
+  const t = draft.targetTweet
+  const a = draft.analysis
+  const d = draft.duplicateOf
+  const conv = draft.conversation || { parents: [], replies: [] }
+  const err = el('div', { className: 'err' })
+  const isThread = draft.type === 'thread'
+  const isSocial = ['retweet', 'follow', 'bookmark'].includes(draft.type)
+  const single = isThread || isSocial ? null : editor(draft.text)
+  const thread = isThread ? threadEditor(draft) : null
+  const cands  = !isThread && (draft.candidates || []).length > 1 ? candidatePicker(draft, single) : null
+
+  const tone = el('select', {}, el('option', { value: '', textContent: '🎭 Change tone…' }),
+    ...tones.filter(x => !(draft.allowedTones || []).length || draft.allowedTones.includes(x.value)).map(x => el('option', { value: x.value, textContent: x.icon + ' ' + x.label, disabled: x.value === draft.tone })))
+
+  const card = el('div', { className: 'draft' },
+    el('div', { className: 'head' },
+      el('span', { className: 'type', textContent: labels[draft.type] || draft.type }),
+      t ? el('span', { textContent: '→ @' + t.author }) : null,
+      el('span', { textContent: 'topic: "' + draft.topic + '"' }),
+      draft.tone ? el('span', { className: 'tag', textContent: draft.tone }) : null,
+      draft.lang && draft.lang !== (draft.reviewLang || 'en') ? el('span', { className: 'tag', textContent: '🌐 ' + draft.lang }) : null,
+      el('span', { textContent: 'generated ' + new Date(draft.generatedAt).toLocaleString() }),
+      el('span', { textContent: 'expires ' + new Date(draft.expiresAt).toLocaleString() })),
+    ...conv.parents.map(p => el('div', { className: 'ctx', textContent: '↑ @' + p.author + ': ' + p.text })),
+    t ? el('div', { className: 'orig', textContent: t.text + '\\n' + t.likes + '❤️  ' + t.retweets + '🔁  ' + (t.replies ?? 0) + '💬' }) : null,
+    draft.targetTranslation ? el('div', { className: 'ctx', textContent: '↩ ' + draft.targetTranslation }) : null,
+    conv.replies.length ? el('div', { className: 'ctx', textContent: 'Top replies so far:' }) : null,
+    ...conv.replies.map(r => el('div', { className: 'ctx', textContent: '↳ ' + r.likes + '❤️  @' + r.author + ': ' + r.text })),
+    draft.type === 'follow' && t.authorFollowers != null ? el('div', { className: 'ctx', textContent: '👤 @' + t.author + ' · ' + t.authorFollowers.toLocaleString() + ' followers' }) : null,
+    draft.mention ? el('div', { className: 'ctx', textContent: '📥 ' + (t.isReply ? 'Replied to you' : 'Mentioned you') + ' — ' + draft.mention.category + (draft.mention.reason ? ': ' + draft.mention.reason : '') }) : null,
+    draft.toneReason ? el('div', { className: 'ctx', textContent: '🎲 Tone picked for you: ' + draft.toneReason }) : null,
+    a ? el('div', { className: 'ctx', textContent: 'Sentiment: ' + a.sentiment + ' · Themes: ' + (a.themes || []).join(', ') }) : null,
+    a && a.summary ? el('div', { className: 'ctx', textContent: a.summary }) : null,
+    d ? el('div', { className: 'dup', textContent: '⚠ Looks like a repeat — ' + Math.round(d.score * 100) + '% like your ' + d.type + ' from ' + new Date(d.at).toLocaleDateString() + ': "' + d.text + '"' }) : null,
+    ...(draft.media || []).map(m => el('div', { className: 'ctx', textContent: '📎 ' + m.path.split('/').pop() + (m.altText ? ' — alt: ' + m.altText : ' — no alt text') })),
+    cands ? cands.node : null,
+    isThread ? thread.node : single ? single.text : null, single ? single.count : null,
+    draft.translation && draft.translation.of === draft.text ? el('div', { className: 'ctx', textContent: '↩ In ' + (draft.reviewLang || 'en') + ' (of the generated text): ' + draft.translation.text }) : null,
+    el('div', { className: 'actions' },
+      el('button', { className: 'approve', textContent: '✅ Approve',
+        onclick: () => act('approve', isSocial ? {} : isThread ? { parts: thread.value() } : { text: single.text.value, candidate: cands ? cands.picked() : undefined }) }),
+      cands ? el('button', { textContent: '🔀 Merge checked', onclick: () => act('merge', { candidates: cands.checked() }) }) : null,
+      (draft.postedIds || []).length || isSocial ? null : tone,
+      el('button', { textContent: '⏭️ Skip', onclick: () => act('skip') })),
+    err)
+
+  tone.addEventListener('change', () => tone.value && act('tone', { tone: tone.value }))
+
+  async function act(action, body = {}) {
+    card.querySelectorAll('button, select, textarea').forEach(n => n.disabled = true)
+    err.textContent = action === 'tone' ? 'Regenerating…' : action === 'merge' ? 'Merging…' : ''
+    try {
+      await api('/api/drafts/' + draft.id + '/' + action, body)
+      await load()
+    } catch (e) {
+      err.textContent = e.message
+      card.querySelectorAll('button, select, textarea').forEach(n => n.disabled = false)
+    }
+  }
+  return card
+}
+
+async function load() {
+  const list = document.getElementById('list')
+  try {
+    const { drafts, tones } = await api('/api/drafts')
+    list.replaceChildren(...(drafts.length ? drafts.map(d => render(d, tones)) : [el('p', { className: 'empty', textContent: 'Queue is empty.' })]))
+  } catch (e) {
+    list.replaceChildren(el('p', { className: 'err', textContent: e.message }))
+  }
+}
+
+load()
+</script>
+</body>
+</html>
+`
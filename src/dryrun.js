@@ -0,0 +1,83 @@
+/**
+ * Dry-run recorder.
+ * Mirrors the write functions of twitter.js, but instead of calling X it
+ * appends what would have been sent to data/dry-run.log (one JSON object per
+ * line). Enabled with settings.dryRun or the --dry-run flag.
+ */
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { mediaInfo } from './media.js'
+import logger from './logger.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const LOG_PATH = path.join(__dirname, '../data/dry-run.log')
+
+let enabled = false
+let seq = 0
+
+export function setDryRun(on) {
+  enabled = !!on
+}
+
+export function isDryRun() {
+  return enabled
+}
+
+/** Same signature as twitter.uploadMedia — validates the file, uploads nothing. */
+export async function uploadMedia(filePath, altText = '') {
+  const info = mediaInfo(filePath)
+  return record('upload', { file: info.path, bytes: info.size, altText }).id
+}
+
+/** Same signature as twitter.postTweet. */
+export async function postTweet(text, mediaIds = []) {
+  return record('tweet', { text, mediaIds })
+}
+
+/** Same signature as twitter.replyToTweet. */
+export async function replyToTweet(text, tweetId, mediaIds = [], _opts = {}) {
+  return record('reply', { text, inReplyTo: tweetId, mediaIds })
+}
+
+/** Same signature as twitter.quoteTweet. */
+export async function quoteTweet(text, tweetId, authorUsername, mediaIds = []) {
+  return record('quote', { text, quoted: `https://x.com/${authorUsername ?? 'x'}/status/${tweetId}`, mediaIds })
+}
+
+/** Same signature as twitter.likeTweet. */
+export async function likeTweet(tweetId) {
+  record('like', { tweetId })
+}
+
+/** Same signature as twitter.retweet. */
+export async function retweet(tweetId) {
+  return record('retweet', { tweetId })
+}
+
+/** Same signature as twitter.unretweet. */
+export async function unretweet(tweetId) {
+  record('unretweet', { tweetId })
+}
+
+/** Same signature as twitter.followUser — nothing is resolved, userId may stay null. */
+export async function followUser(username, userId = null) {
+  record('follow', { username, userId })
+  return { userId }
+}
+
+/** Same signature as twitter.bookmarkTweet. */
+export async function bookmarkTweet(tweetId) {
+  record('bookmark', { tweetId })
+}
+
+function record(action, payload) {
+  const id = `dry-run-${Date.now()}-${++seq}`
+  const entry = { at: new Date().toISOString(), action, id, ...payload }
+
+  fs.mkdirSync(path.dirname(LOG_PATH), { recursive: true })
+  fs.appendFileSync(LOG_PATH, JSON.stringify(entry) + '\n')
+
+  logger.info(`DryRun: would ${action}${payload.text ? ` (${payload.text.length} chars)` : ''} — recorded to data/dry-run.log`)
+  return { id, text: payload.text ?? '' }
+}
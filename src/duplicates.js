@@ -0,0 +1,136 @@
+/**
+ * Near-duplicate detection against our own posting history.
+ *
+ * Every posted tweet, reply, quote and thread is kept in state.js with its
+ * text. A new draft is compared to the posts of the last `lookbackDays`:
+ *
+ *   shingles    — Jaccard similarity of word n-grams; cheap, catches reuse
+ *                 of the same phrasing
+ *   embeddings  — optional cosine similarity of embedding vectors; catches
+ *                 the same idea in different words (one API call per draft,
+ *                 history vectors are cached for the life of the process)
+ */
+import { getPosts } from './state.js'
+import { embed } from './llm.js'
+import logger from './logger.js'
+
+const DAY = 24 * 60 * 60 * 1000
+
+const DEFAULTS = {
+  enabled: true,
+  lookbackDays: 30,
+  ngram: 2,
+  threshold: 0.4,
+  onDuplicate: 'regenerate',
+  maxRegenerations: 2,
+  embeddings: { enabled: false, provider: 'openai', model: 'text-embedding-3-small', threshold: 0.9 },
+}
+
+let rules = DEFAULTS
+const vectors = new Map() // text → embedding
+
+/** Apply settings.duplicates. */
+export function configureDuplicates(duplicates = {}) {
+  rules = { ...DEFAULTS, ...duplicates, embeddings: { ...DEFAULTS.embeddings, ...duplicates.embeddings } }
+  if (!['regenerate', 'warn'].includes(rules.onDuplicate)) {
+    throw new Error(`settings.duplicates.onDuplicate must be "regenerate" or "warn", got "${rules.onDuplicate}"`)
+  }
+}
+
+/** The active settings (after defaults). */
+export function duplicateRules() {
+  return rules
+}
+
+/**
+ * Find the most similar recent post, if it's over a threshold.
+ * @param {string} text
+ * @returns {Promise<{ id: string, type: string, text: string, topic?: string, at: string, score: number, method: 'shingles'|'embeddings' }|null>}
+ */
+export async function findDuplicate(text) {
+  if (!rules.enabled || !text) return null
+  const history = getPosts(Date.now() - rules.lookbackDays * DAY)
+  if (!history.length) return null
+
+  let best = null
+  for (const post of history) {
+    const score = similarity(text, post.text)
+    if (score >= rules.threshold && score > (best?.score ?? 0)) best = { ...post, score, method: 'shingles' }
+  }
+  if (best || !rules.embeddings.enabled) return best
+
+  try {
+    return await embeddingMatch(text, history)
+  } catch (err) {
+    logger.warn(`Duplicates: embeddings check failed, using shingles only — ${err.message}`)
+    return null
+  }
+}
+
+/**
+ * Shingle similarity of two texts: Jaccard of their word n-grams, 0 to 1.
+ * Links, mentions, punctuation and case are ignored.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [n] - Words per shingle (default settings.duplicates.ngram)
+ */
+export function similarity(a, b, n = rules.ngram) {
+  return jaccard(shingles(a, n), shingles(b, n))
+}
+
+/** "82% like your tweet from 3 days ago: "…"" — for logs and the approver. */
+export function describeDuplicate(match) {
+  const days = Math.floor((Date.now() - Date.parse(match.at)) / DAY)
+  const when = days === 0 ? 'today' : days === 1 ? 'yesterday' : `${days} days ago`
+  const text = match.text.length > 100 ? `${match.text.slice(0, 100)}…` : match.text
+  return `${Math.round(match.score * 100)}% like your ${match.type} from ${when}: "${text}"`
+}
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+async function embeddingMatch(text, history) {
+  const { provider, model, threshold } = rules.embeddings
+  const missing = [...new Set([text, ...history.map(p => p.text)])].filter(t => !vectors.has(t))
+  if (missing.length) {
+    const result = await embed(missing, { provider, model })
+    missing.forEach((t, i) => vectors.set(t, result[i]))
+  }
+
+  const mine = vectors.get(text)
+  let best = null
+  for (const post of history) {
+    const score = cosine(mine, vectors.get(post.text))
+    if (score >= threshold && score > (best?.score ?? 0)) best = { ...post, score, method: 'embeddings' }
+  }
+  return best
+}
+
+// Lowercased words without links, mentions and punctuation, as n-grams.
+// Texts shorter than n words become a single shingle.
+function shingles(text, n) {
+  const words = text
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/@\w+/g, ' ')
+    .replace(/[^\p{L}\p{N}#\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+
+  const set = new Set()
+  for (let i = 0; i + n <= words.length; i++) set.add(words.slice(i, i + n).join(' '))
+  if (!set.size && words.length) set.add(words.join(' '))
+  return set
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0
+  let shared = 0
+  for (const s of a) if (b.has(s)) shared++
+  return shared / (a.size + b.size - shared)
+}
+
+function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0
+  for (let i = 0; i < a.length; i++) { dot += a[i] * b[i]; na += a[i] ** 2; nb += b[i] ** 2 }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0
+}
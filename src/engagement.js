@@ -0,0 +1,213 @@
+/**
+ * Engagement tracking for our own posts.
+ *
+ * Every post recorded in state.js is fetched again at each checkpoint after
+ * it went out (settings.engagement.checkpoints — 1h, 24h and 7d by default)
+ * and its likes, retweets, replies and views are stored next to it. The
+ * tracker runs alongside the daemon; `npm run report` turns the numbers into
+ * a breakdown by topic, action type, tone and posting hour.
+ *
+ * A checkpoint missed while the bot was down is still measured if it's less
+ * than half a checkpoint late (e.g. up to 36h for the 24h one) — later than
+ * that the numbers wouldn't be comparable, so it's left empty.
+ */
+import { getDb } from './state.js'
+import { getTweet } from './twitter.js'
+import logger from './logger.js'
+
+const UNITS = { m: 60_000, h: 3_600_000, d: 86_400_000 }
+
+const DEFAULTS = {
+  enabled: true,
+  checkpoints: ['1h', '24h', '7d'],
+  intervalMinutes: 15,
+}
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS engagement (
+    tweet_id    TEXT NOT NULL,
+    checkpoint  TEXT NOT NULL,               -- 1h | 24h | 7d …
+    measured_at TEXT NOT NULL,
+    likes       INTEGER NOT NULL,
+    retweets    INTEGER NOT NULL,
+    replies     INTEGER NOT NULL,
+    views       INTEGER NOT NULL,
+    PRIMARY KEY (tweet_id, checkpoint)
+  );
+`
+
+let timer = null
+let running = null // promise of the check in progress, if any
+let stopping = false
+
+/**
+ * Start checking our posts' engagement every intervalMinutes.
+ * @param {object} settings - Bot settings (uses settings.engagement)
+ */
+export function startEngagementTracker(settings) {
+  const opts = engagementSettings(settings)
+  if (!opts.enabled) return
+
+  ensureSchema()
+  opts.checkpoints.forEach(parseDuration) // fail at startup on a typo
+  logger.info(`Engagement: tracking posts at ${opts.checkpoints.join(' / ')}, checking every ${opts.intervalMinutes}m`)
+
+  const tick = () => {
+    if (running || stopping) return
+    running = checkEngagement(opts.checkpoints)
+      .catch(err => logger.error('Engagement: check failed:', err.message))
+      .finally(() => { running = null })
+  }
+  tick()
+  timer = setInterval(tick, opts.intervalMinutes * 60_000)
+}
+
+/** Stop the tracker and wait for a check in progress to finish. */
+export async function stopEngagementTracker() {
+  stopping = true
+  clearInterval(timer)
+  timer = null
+  if (running) await running
+}
+
+/**
+ * Measure every post that has reached one of the checkpoints.
+ * @param {string[]} [checkpoints]
+ * @returns {Promise<number>} measurements stored
+ */
+export async function checkEngagement(checkpoints = DEFAULTS.checkpoints) {
+  ensureSchema()
+
+  // tweet ID → checkpoints due, so a tweet due twice is fetched once
+  const due = new Map()
+  for (const checkpoint of checkpoints) {
+    for (const id of dueTweets(checkpoint)) due.set(id, [...(due.get(id) ?? []), checkpoint])
+  }
+  if (!due.size) return 0
+
+  logger.info(`Engagement: measuring ${due.size} post(s)`)
+  const insert = getDb().prepare(`
+    INSERT OR IGNORE INTO engagement (tweet_id, checkpoint, measured_at, likes, retweets, replies, views)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `)
+
+  let stored = 0
+  for (const [id, points] of due) {
+    if (stopping) break
+    let tweet
+    try {
+      tweet = await getTweet(id)
+    } catch (err) {
+      logger.warn(`Engagement: could not fetch ${id} — ${err.message}`)
+      if (err.rateLimited) break
+      continue
+    }
+    if (!tweet) {
+      logger.info(`Engagement: ${id} is no longer available`)
+      continue
+    }
+
+    const at = new Date().toISOString()
+    for (const checkpoint of points) {
+      insert.run(id, checkpoint, at, tweet.likes, tweet.retweets, tweet.replies, tweet.views)
+      stored++
+    }
+    await sleep(1000)
+  }
+
+  logger.info(`Engagement: stored ${stored} measurement(s)`)
+  return stored
+}
+
+/**
+ * Average engagement of our posts at one checkpoint, grouped four ways.
+ * @param {object} [opts]
+ * @param {string} [opts.checkpoint] - Defaults to 24h
+ * @param {number} [opts.sinceMs]    - Only posts from this time on (epoch ms)
+ * @param {string} [opts.timezone]   - For the posting hour (IANA name)
+ * @returns {{ checkpoint: string, posts: number, byTopic: Group[], byType: Group[], byTone: Group[], byHour: Group[] }}
+ *          Group = { key, posts, likes, retweets, replies, views, rate } — averages per post,
+ *          rate = (likes + retweets + replies) / views
+ */
+export function engagementReport({ checkpoint = '24h', sinceMs = 0, timezone } = {}) {
+  const rows = measuredPosts({ checkpoint, sinceMs })
+  const hour = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', hourCycle: 'h23' })
+  return {
+    checkpoint,
+    posts: rows.length,
+    byTopic: group(rows, r => r.topic ?? '—'),
+    byType:  group(rows, r => r.type),
+    byTone:  group(rows, r => r.tone ?? 'default'),
+    byHour:  group(rows, r => `${hour.format(new Date(r.at))}:00`).sort((a, b) => a.key.localeCompare(b.key)),
+  }
+}
+
+/**
+ * Our posts with their counts at one checkpoint.
+ * @param {object} [opts]
+ * @param {string} [opts.checkpoint] - Defaults to 24h
+ * @param {number} [opts.sinceMs]    - Only posts from this time on (epoch ms)
+ * @returns {{ type: string, topic: string|null, tone: string|null, at: string, likes: number, retweets: number, replies: number, views: number }[]}
+ */
+export function measuredPosts({ checkpoint = '24h', sinceMs = 0 } = {}) {
+  ensureSchema()
+  return getDb().prepare(`
+    SELECT p.type, p.topic, p.tone, p.at, e.likes, e.retweets, e.replies, e.views
+    FROM engagement e JOIN posts p ON p.id = e.tweet_id
+    WHERE e.checkpoint = ? AND p.at >= ?
+  `).all(checkpoint, new Date(sinceMs).toISOString())
+}
+
+/** settings.engagement with defaults applied. */
+export function engagementSettings(settings) {
+  return { ...DEFAULTS, ...settings.engagement }
+}
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+function ensureSchema() {
+  getDb().exec(SCHEMA)
+}
+
+// Posts that reached the checkpoint, are less than half a checkpoint past it,
+// and have no measurement for it yet
+function dueTweets(checkpoint) {
+  const ms  = parseDuration(checkpoint)
+  const now = Date.now()
+  return getDb().prepare(`
+    SELECT p.id FROM posts p
+    WHERE p.id IS NOT NULL AND p.at <= ? AND p.at >= ?
+      AND NOT EXISTS (SELECT 1 FROM engagement e WHERE e.tweet_id = p.id AND e.checkpoint = ?)
+  `).pluck().all(new Date(now - ms).toISOString(), new Date(now - ms * 1.5).toISOString(), checkpoint)
+}
+
+function group(rows, keyOf) {
+  const groups = new Map()
+  for (const r of rows) {
+    const key = keyOf(r)
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(r)
+  }
+
+  return [...groups].map(([key, list]) => {
+    const sum = field => list.reduce((n, r) => n + r[field], 0)
+    const likes = sum('likes'), retweets = sum('retweets'), replies = sum('replies'), views = sum('views')
+    return {
+      key,
+      posts: list.length,
+      likes: likes / list.length,
+      retweets: retweets / list.length,
+      replies: replies / list.length,
+      views: views / list.length,
+      rate: views ? (likes + retweets + replies) / views : 0,
+    }
+  }).sort((a, b) => b.rate - a.rate)
+}
+
+function parseDuration(value) {
+  const m = String(value).match(/^(\d+)([mhd])$/)
+  if (!m) throw new Error(`settings.engagement.checkpoints: expected e.g. 1h, 24h, 7d — got "${value}"`)
+  return Number(m[1]) * UNITS[m[2]]
+}
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)) }
@@ -0,0 +1,159 @@
+/**
+ * Target filters — which fetched tweets may be analysed, replied to, quoted
+ * or liked at all.
+ *
+ * settings.filters applies to every topic and a topic's own `filters` block
+ * is layered on top: blockAuthors and forbidKeywords add to the global lists,
+ * every other field replaces the global value. A tweet is counted against
+ * the first filter that drops it, in this order:
+ *
+ *   own        — our own tweets (skipOwn, needs settings.username)
+ *   blocked    — authors in blockAuthors
+ *   notAllowed — authors outside allowAuthors, when that list is set
+ *   reply      — replies to other tweets (excludeReplies)
+ *   followers  — authors with fewer than minFollowers
+ *   language   — languages outside `languages`, when that list is set
+ *   forbidden  — text containing any of forbidKeywords
+ *   required   — text containing none of requireKeywords, when that list is set
+ *   age        — older than maxAgeHours
+ *
+ * Handles and keywords match case-insensitively. A tweet whose follower count
+ * or language is unknown passes those two filters. A topic's `languages`
+ * (see language.js) is its language filter unless its filters set one.
+ */
+import { isKnownLanguage } from './language.js'
+import logger from './logger.js'
+
+const HOUR = 60 * 60 * 1000
+
+const DEFAULTS = {
+  skipOwn: true,
+  excludeReplies: false,
+  allowAuthors: [],
+  blockAuthors: [],
+  minFollowers: 0,
+  languages: [],
+  requireKeywords: [],
+  forbidKeywords: [],
+  maxAgeHours: null,
+}
+
+// Fields where a topic's list adds to the global one instead of replacing it
+const ADDITIVE = ['blockAuthors', 'forbidKeywords']
+const LISTS = ['allowAuthors', 'blockAuthors', 'languages', 'requireKeywords', 'forbidKeywords']
+
+/**
+ * Filter rules for a topic: settings.filters with the topic's filters on top.
+ * @param {object} settings - Bot settings (uses settings.filters and settings.username)
+ * @param {object} [topic]
+ */
+export function filterRules(settings, topic = {}) {
+  const base = settings.filters ?? {}
+  const own  = topic.filters ?? {}
+  const rules = { ...DEFAULTS, ...base, ...own, username: settings.username ?? null }
+  rules.languages = own.languages ?? topic.languages ?? base.languages ?? []
+  for (const field of ADDITIVE) rules[field] = [...(base[field] ?? []), ...(own[field] ?? [])]
+  return rules
+}
+
+/**
+ * Check settings.filters and every topic's filters block; throws listing
+ * every problem. Warns when skipOwn is on without a username to skip.
+ * @param {object}   settings
+ * @param {object[]} [topics]
+ */
+export function validateFilters(settings, topics = []) {
+  const problems = []
+  const check = (where, block) => {
+    if (!block) return
+    for (const [key, value] of Object.entries(block)) {
+      if (key.startsWith('_')) continue
+      if (!(key in DEFAULTS)) problems.push(`${where}: unknown filter "${key}"`)
+      else if (LISTS.includes(key) && !(Array.isArray(value) && value.every(v => typeof v === 'string'))) problems.push(`${where}: ${key} must be a list of strings`)
+      else if (['skipOwn', 'excludeReplies'].includes(key) && typeof value !== 'boolean') problems.push(`${where}: ${key} must be true or false`)
+      else if (key === 'minFollowers' && !(Number.isInteger(value) && value >= 0)) problems.push(`${where}: minFollowers must be a whole number ≥ 0`)
+      else if (key === 'maxAgeHours' && value !== null && !(value > 0)) problems.push(`${where}: maxAgeHours must be above 0, or null for no limit`)
+    }
+  }
+
+  check('settings.filters', settings.filters)
+  for (const topic of topics) {
+    check(`topic "${topic.name}" filters`, topic.filters)
+    const langs = topic.languages
+    if (langs !== undefined && !(Array.isArray(langs) && langs.length && langs.every(l => /^[a-z]{2,3}(-[A-Za-z]+)?$/.test(l)))) {
+      problems.push(`topic "${topic.name}": languages must be a non-empty list of language codes like "en", "de"`)
+    }
+  }
+  if (problems.length) throw new Error(`Invalid filter settings:\n  ${problems.join('\n  ')}`)
+
+  const skipping = topics.length ? topics.some(t => filterRules(settings, t).skipOwn) : filterRules(settings).skipOwn
+  if (skipping && !settings.username) logger.warn('Filters: skipOwn is on but settings.username is not set — your own tweets will not be filtered out')
+}
+
+/**
+ * Drop the tweets the rules exclude.
+ * @param {object[]} tweets
+ * @param {object}   rules - From filterRules
+ * @returns {{ kept: object[], dropped: Object<string, number> }} dropped counts per filter, only those that dropped something
+ */
+export function applyFilters(tweets, rules) {
+  const tests = buildTests(rules)
+  const kept = []
+  const dropped = {}
+  for (const tweet of tweets) {
+    const failed = tests.find(([, passes]) => !passes(tweet))
+    if (failed) dropped[failed[0]] = (dropped[failed[0]] ?? 0) + 1
+    else kept.push(tweet)
+  }
+  return { kept, dropped }
+}
+
+/**
+ * "own 1 · reply 4 · age 2" for the log.
+ * @param {Object<string, number>} dropped - From applyFilters
+ */
+export function describeDropped(dropped) {
+  return Object.entries(dropped).map(([name, n]) => `${name} ${n}`).join(' · ')
+}
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+// [name, passes(tweet)] for every filter the rules switch on, in order
+function buildTests(rules) {
+  const lower = list => list.map(v => v.replace(/^@/, '').toLowerCase())
+  const handle = t => (t.author ?? '').toLowerCase()
+  const text = t => (t.text ?? '').toLowerCase()
+  const tests = []
+
+  if (rules.skipOwn && rules.username) {
+    const own = rules.username.replace(/^@/, '').toLowerCase()
+    tests.push(['own', t => handle(t) !== own])
+  }
+  if (rules.blockAuthors.length) {
+    const blocked = new Set(lower(rules.blockAuthors))
+    tests.push(['blocked', t => !blocked.has(handle(t))])
+  }
+  if (rules.allowAuthors.length) {
+    const allowed = new Set(lower(rules.allowAuthors))
+    tests.push(['notAllowed', t => allowed.has(handle(t))])
+  }
+  if (rules.excludeReplies) tests.push(['reply', t => !t.isReply])
+  if (rules.minFollowers > 0) tests.push(['followers', t => t.authorFollowers == null || t.authorFollowers >= rules.minFollowers])
+  if (rules.languages.length) {
+    const langs = new Set(rules.languages.map(l => l.toLowerCase()))
+    tests.push(['language', t => !isKnownLanguage(t.lang) || langs.has(t.lang.toLowerCase())])
+  }
+  if (rules.forbidKeywords.length) {
+    const words = rules.forbidKeywords.map(w => w.toLowerCase())
+    tests.push(['forbidden', t => !words.some(w => text(t).includes(w))])
+  }
+  if (rules.requireKeywords.length) {
+    const words = rules.requireKeywords.map(w => w.toLowerCase())
+    tests.push(['required', t => words.some(w => text(t).includes(w))])
+  }
+  if (rules.maxAgeHours) {
+    const cutoff = Date.now() - rules.maxAgeHours * HOUR
+    tests.push(['age', t => !t.createdAt || new Date(t.createdAt).getTime() >= cutoff])
+  }
+  return tests
+}
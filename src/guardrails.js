@@ -0,0 +1,189 @@
+/**
+ * Write guardrails — the last check before anything is sent to X.
+ *
+ * Every write in twitter.js calls beforeWrite(kind) first and afterWrite(kind)
+ * once it succeeded. Counts live in state.js, so a restart doesn't reset them.
+ *
+ *   perDay / perHour      — caps per kind over a rolling 24h / 1h window
+ *   quietHours            — no writes between start and end in `timezone`
+ *   minGapBetweenPostsMs  — minimum time between our own tweets/replies/quotes
+ *   jitterMs              — random [min, max] pause before every write
+ *
+ * A blocked write throws an Error with `guardrail: true` and a reason.
+ * Settings are checked up front — a typo must not quietly switch a guardrail off.
+ */
+import { recordWrite, countWritesSince, lastWriteAt } from './state.js'
+import logger from './logger.js'
+
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+
+// Kinds that are "our own posts" for the minimum gap.
+// Thread continuation parts are exempt — the thread is one post.
+const POST_KINDS = ['tweet', 'reply', 'quote']
+
+// Every kind twitter.js passes to beforeWrite (threadPart is never capped)
+const WRITE_KINDS = ['tweet', 'reply', 'quote', 'like', 'retweet', 'unretweet', 'follow', 'bookmark']
+
+const OPTIONS = ['perDay', 'perHour', 'quietHours', 'timezone', 'minGapBetweenPostsMs', 'maxGapWaitMs', 'jitterMs']
+
+const HHMM = /^([01]?\d|2[0-3]):[0-5]\d$/
+
+let rules = {}
+
+/**
+ * Apply settings.guardrails; throws listing every problem.
+ * @param {object} [guardrails] - settings.guardrails
+ */
+export function configureGuardrails(guardrails = {}) {
+  const problems = []
+  const where = 'settings.guardrails'
+
+  for (const key of Object.keys(guardrails)) {
+    if (!key.startsWith('_') && !OPTIONS.includes(key)) problems.push(`${where}: unknown option "${key}"`)
+  }
+
+  for (const window of ['perDay', 'perHour']) {
+    const caps = guardrails[window]
+    if (caps == null) continue
+    if (typeof caps !== 'object' || Array.isArray(caps)) {
+      problems.push(`${where}.${window} must be an object like { "tweet": 6 }`)
+      continue
+    }
+    for (const [kind, cap] of Object.entries(caps)) {
+      if (!WRITE_KINDS.includes(kind)) problems.push(`${where}.${window}: unknown action "${kind}" — expected one of ${WRITE_KINDS.join(', ')}`)
+      else if (!(Number.isInteger(cap) && cap >= 0)) problems.push(`${where}.${window}.${kind} must be a whole number ≥ 0 (0 blocks it)`)
+    }
+  }
+
+  const q = guardrails.quietHours
+  if (q != null) {
+    if (typeof q !== 'object' || !HHMM.test(q.start) || !HHMM.test(q.end)) problems.push(`${where}.quietHours must be { "start": "HH:MM", "end": "HH:MM" }`)
+    else if (q.start === q.end) problems.push(`${where}.quietHours: start and end are both ${q.start}`)
+  }
+
+  if (guardrails.timezone != null) {
+    try {
+      new Intl.DateTimeFormat('en-GB', { timeZone: guardrails.timezone })
+    } catch {
+      problems.push(`${where}.timezone: unknown time zone "${guardrails.timezone}" — use an IANA name like "Europe/Berlin"`)
+    }
+  }
+
+  for (const key of ['minGapBetweenPostsMs', 'maxGapWaitMs']) {
+    const value = guardrails[key]
+    if (value != null && !(typeof value === 'number' && value >= 0)) problems.push(`${where}.${key} must be a number ≥ 0`)
+  }
+
+  const jitter = guardrails.jitterMs
+  if (jitter != null && !(Array.isArray(jitter) && jitter.length === 2 && jitter.every(n => typeof n === 'number' && n >= 0) && jitter[0] <= jitter[1])) {
+    problems.push(`${where}.jitterMs must be [min, max] with 0 ≤ min ≤ max`)
+  }
+
+  if (problems.length) throw new Error(`Invalid guardrail settings:\n  ${problems.join('\n  ')}`)
+  rules = guardrails
+}
+
+/**
+ * Check whether a write of this kind is allowed right now, without waiting.
+ * @param {string} kind - tweet | reply | quote | like | retweet | follow | bookmark | …
+ * @returns {{ ok: boolean, reason?: string, waitMs?: number }}
+ *          waitMs is set when only the minimum gap is in the way
+ */
+export function checkWrite(kind) {
+  if (kind === 'threadPart') return { ok: true }
+
+  if (inQuietHours()) {
+    const { start, end } = rules.quietHours
+    return { ok: false, reason: `quiet hours (${start}–${end} ${timezone()})` }
+  }
+
+  const now = Date.now()
+  const perHour = rules.perHour?.[kind]
+  if (perHour != null && countWritesSince([kind], now - HOUR) >= perHour) {
+    return { ok: false, reason: `hourly cap for ${kind} reached (${perHour}/h)` }
+  }
+  const perDay = rules.perDay?.[kind]
+  if (perDay != null && countWritesSince([kind], now - DAY) >= perDay) {
+    return { ok: false, reason: `daily cap for ${kind} reached (${perDay}/24h)` }
+  }
+
+  const gap = rules.minGapBetweenPostsMs
+  if (gap && POST_KINDS.includes(kind)) {
+    const last = lastWriteAt(POST_KINDS)
+    if (last && now - last < gap) {
+      return { ok: false, reason: `last post was ${formatMs(now - last)} ago (min gap ${formatMs(gap)})`, waitMs: gap - (now - last) }
+    }
+  }
+
+  return { ok: true }
+}
+
+/**
+ * Enforce the guardrails before a write: waits out a short minimum gap and
+ * the random jitter, throws if the write isn't allowed.
+ * @param {string} kind
+ */
+export async function beforeWrite(kind) {
+  let check = checkWrite(kind)
+
+  if (!check.ok && check.waitMs != null && check.waitMs <= (rules.maxGapWaitMs ?? 0)) {
+    logger.info(`Guardrails: ${check.reason} — waiting ${formatMs(check.waitMs)}`)
+    await sleep(check.waitMs)
+    check = checkWrite(kind)
+  }
+
+  if (!check.ok) {
+    logger.warn(`Guardrails: blocked ${kind} — ${check.reason}`)
+    throw Object.assign(new Error(`Guardrails: ${check.reason}`), { guardrail: true, reason: check.reason })
+  }
+
+  const [min, max] = rules.jitterMs ?? [0, 0]
+  if (max > 0 && kind !== 'threadPart') await sleep(min + Math.random() * (max - min))
+}
+
+/** Count a successful write. */
+export function afterWrite(kind) {
+  recordWrite(kind)
+}
+
+/** "tweet 2/6 · reply 5/20 …" — today's usage against the daily caps. */
+export function quotaSummary() {
+  const since = Date.now() - DAY
+  return Object.entries(rules.perDay ?? {})
+    .map(([kind, cap]) => `${kind} ${countWritesSince([kind], since)}/${cap}`)
+    .join(' · ')
+}
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+function timezone() {
+  return rules.timezone ?? Intl.DateTimeFormat().resolvedOptions().timeZone
+}
+
+function inQuietHours(date = new Date()) {
+  const q = rules.quietHours
+  if (!q?.start || !q?.end) return false
+
+  const [h, m] = new Intl.DateTimeFormat('en-GB', { timeZone: timezone(), hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .format(date).split(':').map(Number)
+  const now   = h * 60 + m
+  const start = toMinutes(q.start)
+  const end   = toMinutes(q.end)
+
+  // e.g. 23:00–07:00 wraps past midnight
+  return start <= end ? now >= start && now < end : now >= start || now < end
+}
+
+function toMinutes(hhmm) {
+  const [h, m = 0] = hhmm.split(':').map(Number)
+  return h * 60 + m
+}
+
+function formatMs(ms) {
+  if (ms < 60_000) return `${Math.round(ms / 1000)}s`
+  if (ms < HOUR) return `${Math.round(ms / 60_000)}m`
+  return `${(ms / HOUR).toFixed(1)}h`
+}
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)) }
@@ -0,0 +1,84 @@
+/**
+ * History command — query the action history kept in data/echomind.db.
+ *
+ * Run: npm run history -- [--type reply] [--topic "AI & Tech"] [--since 7d]
+ *                         [--search "misconception"] [--limit 50] [--json]
+ */
+import chalk from 'chalk'
+import { option, parseSince } from './cli.js'
+import { queryHistory } from './state.js'
+
+const TYPE_COLORS = {
+  fetch:     chalk.gray,
+  analysis:  chalk.gray,
+  draft:     chalk.white,
+  decision:  chalk.yellow,
+  tweet:     chalk.cyan,
+  thread:    chalk.blue,
+  reply:     chalk.green,
+  quote:     chalk.magenta,
+  like:      chalk.red,
+  retweet:   chalk.greenBright,
+  unretweet: chalk.gray,
+  bookmark:  chalk.yellowBright,
+  follow:    chalk.cyanBright,
+}
+
+/**
+ * Print history entries matching the command-line filters, newest first.
+ * @param {string[]} args - process.argv after the script name
+ */
+export function runHistory(args) {
+  const since = option(args, '--since')
+  const sinceMs = since ? parseSince(since) : undefined
+
+  const rows = queryHistory({
+    type:   option(args, '--type'),
+    topic:  option(args, '--topic'),
+    search: option(args, '--search'),
+    sinceMs,
+    limit:  Number(option(args, '--limit') ?? 50),
+  })
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(rows, null, 2))
+    return
+  }
+
+  if (!rows.length) {
+    console.log(chalk.dim('  No history matches.'))
+    return
+  }
+
+  for (const row of rows.reverse()) {
+    const color = TYPE_COLORS[row.type] ?? chalk.white
+    const when  = new Date(row.at).toLocaleString()
+    const what  = row.type === 'decision' ? `decision:${row.details?.decision}` : row.type
+
+    const meta = [
+      row.topic && `"${row.topic}"`,
+      row.tone && chalk.magentaBright(row.tone),
+      row.targetId && `→ ${row.targetId}`,
+      row.tweetIds.length && chalk.green(`ids ${row.tweetIds.join(', ')}`),
+      row.details?.choice && describeChoice(row.details.choice),
+      row.details?.via && `via ${row.details.via}`,
+      row.details?.dryRun && chalk.yellow('dry run'),
+    ].filter(Boolean).join(chalk.dim(' · '))
+
+    console.log(`  ${chalk.dim(when)}  ${color(what.padEnd(16))} ${meta}`)
+    if (row.text) console.log(chalk.dim(`      ${oneLine(row.text)}`))
+  }
+  console.log(chalk.dim(`\n  ${rows.length} entr${rows.length === 1 ? 'y' : 'ies'}`))
+}
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+function describeChoice(choice) {
+  const which = choice.merged ? `merged ${choice.merged.map(n => `#${n}`).join('+')}` : `picked #${choice.candidate}`
+  return chalk.cyan(`${which} of ${choice.of}`)
+}
+
+function oneLine(text) {
+  const flat = text.replace(/\s+/g, ' ')
+  return flat.length > 120 ? `${flat.slice(0, 120)}…` : flat
+}
@@ -6,25 +6,74 @@
  *   3. Generate a reply → human approval
  *   4. Generate an original tweet → human approval
  *   5. Repeat or exit
+ *
+ * With --daemon (npm run daemon) it instead runs every enabled topic from
+ * config/topics.json on the cron schedule in settings.json until stopped.
+ * With --review (npm run review) it walks through the approval queue.
+ * With --dashboard (npm run dashboard) it serves the approval queue over HTTP.
+ * With --history / --report it prints the action history / performance report.
+ * With --voice (npm run voice) it builds the voice profile from our own tweets.
+ * With --mentions (npm run mentions) it runs the mentions inbox once.
+ * With --score (npm run score) it shows how a topic's tweets are ranked.
+ * With --unretweet <tweet ID or URL> (npm run unretweet) it undoes a retweet.
  */
 import 'dotenv/config'
-import { readFileSync } from 'fs'
+import { readFileSync, existsSync } from 'fs'
 import { fileURLToPath } from 'url'
 import path from 'path'
 import chalk from 'chalk'
 import { input, confirm } from '@inquirer/prompts'
 import { initTwitter } from './twitter.js'
-import { runSearchCycle } from './bot.js'
+import { runSearchCycle, runMentionsCycle, undoRetweet } from './bot.js'
+import { startScheduler, stopScheduler } from './scheduler.js'
+import { runReview } from './review.js'
+import { runHistory } from './history.js'
+import { runReport } from './report.js'
+import { startEngagementTracker, stopEngagementTracker } from './engagement.js'
+import { startDashboard, stopDashboard } from './dashboard.js'
+import { isInteractive } from './approver.js'
+import { setDryRun } from './dryrun.js'
+import { configureLLM, validateTopicAI, resolve as resolveModel } from './llm.js'
+import { configureGuardrails } from './guardrails.js'
+import { configureDuplicates } from './duplicates.js'
+import { loadCustomTones, validateTopicTones } from './tones.js'
+import { configureVoice, runVoice } from './voice.js'
+import { validateScoring, runScore } from './scoring.js'
+import { validateFilters } from './filters.js'
+import { validateSearch } from './search.js'
+import { configureCache } from './cache.js'
 import { loadState } from './state.js'
+import { loadQueue } from './queue.js'
 import logger from './logger.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const args = process.argv.slice(2)
+const DAEMON = args.includes('--daemon')
+const REVIEW = args.includes('--review')
+const DASHBOARD = args.includes('--dashboard')
+const DRY_RUN = args.includes('--dry-run')
+const NO_CACHE = args.includes('--no-cache')
+const HISTORY = args.includes('--history')
+const REPORT = args.includes('--report')
+const VOICE = args.includes('--voice')
+const MENTIONS = args.includes('--mentions')
+const SCORE = args.includes('--score')
+const UNRETWEET = args.includes('--unretweet')
 
 function loadJson(file) {
   return JSON.parse(readFileSync(path.join(__dirname, '../config', file), 'utf-8'))
 }
 
-function printBanner(settings) {
+function configExists(file) {
+  return existsSync(path.join(__dirname, '../config', file))
+}
+
+// A tweet ID, or the ID in a tweet URL (https://x.com/user/status/123…)
+function tweetIdArg(value) {
+  return value?.match(/^\d+$/)?.[0] ?? value?.match(/\/status\/(\d+)/)?.[1] ?? null
+}
+
+function printBanner(settings, topics) {
   const W = 52
   const bar     = (text = '') => chalk.cyan('│') + ' ' + text.padEnd(W - 2) + ' ' + chalk.cyan('│')
   const divLine = chalk.cyan('├' + '─'.repeat(W) + '┤')
@@ -41,33 +90,177 @@ function printBanner(settings) {
   console.log('  ' + chalk.cyan('│') + chalk.dim('  AI-powered X bot with human approval').padEnd(W + 4) + chalk.cyan('│'))
   console.log('  ' + bar())
   console.log('  ' + divLine)
-  console.log('  ' + bar(chalk.dim('Mode:     ') + chalk.cyanBright('Interactive search')))
+  if (DAEMON) {
+    const enabled = topics.filter(t => t.enabled !== false).length
+    console.log('  ' + bar(chalk.dim('Mode:     ') + chalk.cyanBright('Daemon') + chalk.dim(` — cron "${settings.schedule}"`)))
+    console.log('  ' + bar(chalk.dim('Topics:   ') + chalk.cyanBright(`${enabled} enabled`) + chalk.dim(` of ${topics.length}`)))
+  } else if (DASHBOARD) {
+    console.log('  ' + bar(chalk.dim('Mode:     ') + chalk.cyanBright('Dashboard') + chalk.dim(` — port ${settings.dashboard?.port ?? 8787}`)))
+  } else if (REVIEW) {
+    console.log('  ' + bar(chalk.dim('Mode:     ') + chalk.cyanBright('Review approval queue')))
+  } else if (HISTORY) {
+    console.log('  ' + bar(chalk.dim('Mode:     ') + chalk.cyanBright('Action history')))
+  } else if (REPORT) {
+    console.log('  ' + bar(chalk.dim('Mode:     ') + chalk.cyanBright('Performance report')))
+  } else if (MENTIONS) {
+    console.log('  ' + bar(chalk.dim('Mode:     ') + chalk.cyanBright('Mentions inbox')))
+  } else if (VOICE) {
+    console.log('  ' + bar(chalk.dim('Mode:     ') + chalk.cyanBright('Build voice profile')))
+  } else if (SCORE) {
+    console.log('  ' + bar(chalk.dim('Mode:     ') + chalk.cyanBright('Tweet scoring')))
+  } else if (UNRETWEET) {
+    console.log('  ' + bar(chalk.dim('Mode:     ') + chalk.cyanBright('Unretweet')))
+  } else {
+    console.log('  ' + bar(chalk.dim('Mode:     ') + chalk.cyanBright('Interactive search')))
+  }
   console.log('  ' + bar(chalk.dim('Actions:  ') + active.map(a => chalk.greenBright(a)).join(chalk.dim(' · '))))
-  console.log('  ' + bar(chalk.dim('Approval: ') + chalk.greenBright('ON') + chalk.dim(' — you review every action')))
+  const models = [...new Set(['analysis', 'tweet', 'reply', 'quote'].map(a => resolveModel(a).model))]
+  console.log('  ' + bar(chalk.dim('Models:   ') + models.map(m => chalk.cyanBright(m)).join(chalk.dim(' · '))))
+  if (settings.dryRun) {
+    console.log('  ' + bar(chalk.dim('Dry run:  ') + chalk.yellowBright('ON') + chalk.dim(' — nothing is sent to X')))
+  }
+  if (settings.guardrails?.quietHours) {
+    const { start, end } = settings.guardrails.quietHours
+    console.log('  ' + bar(chalk.dim('Quiet:    ') + chalk.cyanBright(`${start}–${end}`) + chalk.dim(` ${settings.guardrails.timezone ?? 'local time'}`)))
+  }
+  if (isInteractive() && !settings.queue?.always) {
+    console.log('  ' + bar(chalk.dim('Approval: ') + chalk.greenBright('ON') + chalk.dim(' — you review every action')))
+  } else {
+    console.log('  ' + bar(chalk.dim('Approval: ') + chalk.yellowBright('QUEUED') + chalk.dim(' — npm run review')))
+  }
   console.log('  ' + bar())
   console.log('  ' + botLine)
   console.log()
 }
 
 // ─── Graceful shutdown ────────────────────────────────────────────────────────
-process.on('SIGTERM', () => { logger.info('Shutting down...'); process.exit(0) })
+let shuttingDown = false
+
+async function shutdown(signal) {
+  if (shuttingDown) {
+    logger.warn(`Received ${signal} again — exiting immediately`)
+    process.exit(1)
+  }
+  shuttingDown = true
+  logger.info(`Received ${signal}, shutting down...`)
+  if (DAEMON) {
+    await stopScheduler()
+    await stopEngagementTracker()
+  }
+  await stopDashboard()
+  logger.info('Goodbye.')
+  process.exit(0)
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'))
+if (DAEMON || DASHBOARD) process.on('SIGINT', () => shutdown('SIGINT'))
 
 async function main() {
   logger.info('x-EchoMind starting up...')
 
   const settings = loadJson('settings.json')
-  printBanner(settings)
+  if (DRY_RUN) settings.dryRun = true
+  if (NO_CACHE) settings.cache = { ...settings.cache, enabled: false }
+  setDryRun(settings.dryRun)
+
+  const topics   = DAEMON || SCORE ? loadJson('topics.json') : []
+
+  try {
+    configureLLM(settings.ai)
+    validateTopicAI(topics)
+    configureDuplicates(settings.duplicates)
+    configureVoice(settings.voice)
+    if (configExists('tones.json')) loadCustomTones(loadJson('tones.json').tones)
+    validateTopicTones(topics)
+    validateScoring(settings, topics)
+    validateFilters(settings, topics)
+    validateSearch(settings, topics)
+    configureCache(settings.cache)
+    configureGuardrails(settings.guardrails)
+  } catch (err) {
+    logger.error(err.message)
+    process.exit(1)
+  }
+  if (!((HISTORY || REPORT || VOICE || SCORE) && args.includes('--json'))) printBanner(settings, topics)
 
-  loadState()
+  try {
+    loadState()
+  } catch (err) {
+    logger.error(err.message)
+    process.exit(1)
+  }
+  loadQueue()
+
+  if (HISTORY || REPORT) {
+    try {
+      if (HISTORY) runHistory(args)
+      else runReport(args, settings)
+    } catch (err) {
+      logger.error(err.message)
+      process.exit(1)
+    }
+    process.exit(0)
+  }
 
   try {
-    await initTwitter()
+    await initTwitter(settings)
   } catch (err) {
     logger.error('Failed to load cookies:', err.message ?? err.toString())
     logger.error('Run: npm run setup — then paste your auth_token and ct0 from x.com DevTools')
     process.exit(1)
   }
 
+  if (VOICE || SCORE) {
+    try {
+      if (VOICE) await runVoice(args, settings)
+      else await runScore(args, settings, topics)
+    } catch (err) {
+      logger.error(err.message)
+      process.exit(1)
+    }
+    process.exit(0)
+  }
+
+  if (UNRETWEET) {
+    const tweetId = args.map(tweetIdArg).find(Boolean)
+    if (!tweetId) {
+      logger.error('Unretweet: pass a tweet ID or URL — npm run unretweet -- <id>')
+      process.exit(1)
+    }
+    try {
+      await undoRetweet(tweetId)
+    } catch (err) {
+      logger.error(`Unretweet: ${err.message}`)
+      process.exit(1)
+    }
+    process.exit(0)
+  }
+
+  if (DAEMON || DASHBOARD) {
+    if (DASHBOARD || settings.dashboard?.enabled) {
+      try {
+        await startDashboard(settings)
+      } catch (err) {
+        logger.error('Dashboard: failed to start:', err.message)
+        process.exit(1)
+      }
+    }
+    if (DAEMON) runDaemon(topics, settings)
+    return
+  }
+
+  if (MENTIONS) {
+    await runMentionsCycle(settings)
+    logger.info('Goodbye.')
+    process.exit(0)
+  }
+
+  if (REVIEW) {
+    await runReview(settings)
+    logger.info('Goodbye.')
+    process.exit(0)
+  }
+
   logger.info('Ready. Type a search query to begin, or Ctrl+C to quit.')
 
   // ── Interactive search loop ───────────────────────────────────────────────
@@ -104,6 +297,24 @@ async function main() {
   process.exit(0)
 }
 
+// ── Daemon mode ───────────────────────────────────────────────────────────────
+function runDaemon(topics, settings) {
+  if (!topics.some(t => t.enabled !== false)) {
+    logger.error('No enabled topics in config/topics.json — nothing to schedule')
+    process.exit(1)
+  }
+
+  try {
+    startScheduler(topics, settings)
+    startEngagementTracker(settings)
+  } catch (err) {
+    logger.error(err.message)
+    process.exit(1)
+  }
+
+  logger.info('Daemon running. Send SIGINT (Ctrl+C) or SIGTERM to stop.')
+}
+
 main().catch(err => {
   console.error('Fatal error:', err)
   process.exit(1)
@@ -0,0 +1,90 @@
+/**
+ * Languages — codes, names and a small local detector for tweets X didn't
+ * classify.
+ *
+ * X tags most tweets with an ISO 639-1 code (`en`, `de`, `ja` …) but uses
+ * `und` and a few pseudo-codes when it can't tell. For those, detectLanguage
+ * guesses from the script (Cyrillic, CJK, Arabic …) or, for Latin-script
+ * text, from common function words. It only answers when it's fairly sure.
+ */
+
+// Codes X uses for "no language": undetermined, no linguistic content,
+// media-only, hashtags-only, cashtags-only, links-only…
+const UNKNOWN = new Set(['und', 'zxx', 'qme', 'qam', 'qct', 'qht', 'qst'])
+
+const NAMES = new Intl.DisplayNames(['en'], { type: 'language' })
+
+// First script that makes up most of the letters decides
+const SCRIPTS = [
+  [/\p{Script=Hiragana}|\p{Script=Katakana}/gu, 'ja'],
+  [/\p{Script=Hangul}/gu, 'ko'],
+  [/\p{Script=Han}/gu, 'zh'],
+  [/\p{Script=Cyrillic}/gu, 'ru'],
+  [/\p{Script=Arabic}/gu, 'ar'],
+  [/\p{Script=Hebrew}/gu, 'he'],
+  [/\p{Script=Greek}/gu, 'el'],
+  [/\p{Script=Thai}/gu, 'th'],
+  [/\p{Script=Devanagari}/gu, 'hi'],
+]
+
+// Frequent short words that are rare in the other listed languages
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'are', 'of', 'to', 'that', 'this', 'with', 'for', 'it', 'you', 'not', 'what', 'was'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'mit', 'auf', 'für', 'ein', 'eine', 'sich', 'auch', 'wie'],
+  fr: ['le', 'la', 'les', 'et', 'est', 'des', 'une', 'pour', 'pas', 'que', 'qui', 'dans', 'sur', 'avec', 'ce'],
+  es: ['el', 'los', 'las', 'y', 'es', 'que', 'del', 'una', 'por', 'para', 'con', 'pero', 'muy', 'como', 'está'],
+  it: ['il', 'della', 'che', 'è', 'non', 'per', 'una', 'sono', 'gli', 'anche', 'questo', 'come', 'più', 'ma', 'perché'],
+  pt: ['o', 'os', 'que', 'não', 'uma', 'para', 'com', 'do', 'da', 'são', 'mais', 'como', 'muito', 'isso', 'você'],
+  nl: ['de', 'het', 'een', 'en', 'is', 'niet', 'van', 'dat', 'ik', 'op', 'voor', 'met', 'zijn', 'ook', 'maar'],
+}
+const MIN_HITS = 2
+
+/** Whether a code names an actual language (not missing, not one of X's "und"-style codes). */
+export function isKnownLanguage(code) {
+  return !!code && !UNKNOWN.has(code.toLowerCase())
+}
+
+/** "de" → "German"; unknown codes come back as they are. */
+export function languageName(code) {
+  try {
+    return NAMES.of(code) ?? code
+  } catch {
+    return code
+  }
+}
+
+/**
+ * The language of a tweet: X's tag when it has a real one, otherwise a local guess.
+ * @param {string|null} xLang - The tweet's `lang` field
+ * @param {string}      text
+ * @returns {string|null}
+ */
+export function tweetLanguage(xLang, text) {
+  return isKnownLanguage(xLang) ? xLang : detectLanguage(text)
+}
+
+/**
+ * Guess the language of a short text, or null when unsure.
+ * @param {string} text
+ * @returns {string|null}
+ */
+export function detectLanguage(text) {
+  const clean = (text ?? '')
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/[@#$]\w+/g, '')
+  const letters = clean.match(/\p{L}/gu)?.length ?? 0
+  if (!letters) return null
+
+  for (const [pattern, code] of SCRIPTS) {
+    if ((clean.match(pattern)?.length ?? 0) / letters > 0.3) return code
+  }
+
+  const words = clean.toLowerCase().match(/\p{L}+/gu) ?? []
+  let best = null
+  let bestHits = 0
+  for (const [code, list] of Object.entries(STOPWORDS)) {
+    const hits = words.filter(w => list.includes(w)).length
+    if (hits > bestHits) { best = code; bestHits = hits }
+  }
+  return bestHits >= MIN_HITS ? best : null
+}
@@ -0,0 +1,202 @@
+/**
+ * LLM provider layer.
+ *
+ * Every AI call names an action (analysis, tweet, thread, reply, quote) and
+ * gets its provider, model, temperature and max tokens from settings.ai:
+ *
+ *   defaults            ← base for every action
+ *   actions.<action>    ← per-action settings
+ *   topic.ai.<action>   ← per-topic override (passed in by the caller)
+ *
+ * Provider types:
+ *   openai     — OpenAI or any OpenAI-compatible server (Ollama, llama.cpp,
+ *                vLLM, OpenRouter…) via `baseURL`
+ *   anthropic  — Anthropic's Messages API
+ */
+import OpenAI from 'openai'
+import logger from './logger.js'
+
+const ANTHROPIC_URL = 'https://api.anthropic.com'
+const ANTHROPIC_VERSION = '2023-06-01'
+
+// Used when settings.json has no "ai" block — the original gpt-4o-mini setup
+const DEFAULT_AI = {
+  providers: { openai: { type: 'openai', apiKeyEnv: 'OPENAI_API_KEY' } },
+  defaults: { provider: 'openai', model: 'gpt-4o-mini', maxTokens: 1024 },
+  actions: {
+    analysis: { temperature: 0.3 },
+    tweet:    { temperature: 0.85 },
+    thread:   { temperature: 0.85 },
+    reply:    { temperature: 0.8 },
+    quote:    { temperature: 0.8 },
+  },
+}
+
+const ACTIONS = Object.keys(DEFAULT_AI.actions)
+
+let config = DEFAULT_AI
+const clients = new Map() // provider name → client
+
+/**
+ * Load the "ai" block from settings.json. Throws on an unknown provider
+ * reference so a typo fails at startup rather than mid-cycle.
+ * @param {object} [ai] - settings.ai
+ */
+export function configureLLM(ai) {
+  if (!ai) { config = DEFAULT_AI; return }
+
+  config = {
+    providers: { ...DEFAULT_AI.providers, ...ai.providers },
+    defaults: { ...DEFAULT_AI.defaults, ...ai.defaults },
+    actions: Object.fromEntries(ACTIONS.map(a => [a, { ...DEFAULT_AI.actions[a], ...ai.actions?.[a] }])),
+  }
+  clients.clear()
+
+  for (const action of ACTIONS) {
+    const { provider } = resolve(action)
+    if (!config.providers[provider]) {
+      throw new Error(`settings.ai: action "${action}" uses unknown provider "${provider}"`)
+    }
+  }
+}
+
+/**
+ * Check every topic's `ai` block against the configured providers and
+ * actions; throws listing every problem. Call after configureLLM.
+ * @param {object[]} topics
+ */
+export function validateTopicAI(topics = []) {
+  const problems = []
+  for (const topic of topics) {
+    if (topic.ai === undefined || topic.ai === null) continue
+    const where = `topic "${topic.name}"`
+    if (typeof topic.ai !== 'object' || Array.isArray(topic.ai)) { problems.push(`${where}: ai must be an object of per-action overrides`); continue }
+    for (const [action, override] of Object.entries(topic.ai)) {
+      if (action.startsWith('_')) continue
+      if (!ACTIONS.includes(action)) { problems.push(`${where}: unknown ai action "${action}" (expected ${ACTIONS.join(', ')})`); continue }
+      if (!override || typeof override !== 'object') { problems.push(`${where}: ai.${action} must be an object`); continue }
+      const { provider } = resolve(action, topic.ai)
+      if (!config.providers[provider]) problems.push(`${where}: ai.${action} uses unknown provider "${provider}"`)
+    }
+  }
+  if (problems.length) throw new Error(`Invalid topic ai settings:\n  ${problems.join('\n  ')}`)
+}
+
+/**
+ * Effective settings for one action.
+ * @param {string} action
+ * @param {object} [overrides] - topic.ai
+ * @returns {{ provider: string, model: string, temperature?: number, maxTokens?: number }}
+ */
+export function resolve(action, overrides = null) {
+  return { ...config.defaults, ...config.actions[action], ...overrides?.[action] }
+}
+
+/**
+ * Run a single-prompt completion.
+ * @param {string} action          - analysis | tweet | thread | reply | quote
+ * @param {string} prompt
+ * @param {object} [opts]
+ * @param {boolean} [opts.json]    - Ask for a JSON object and return it parsed
+ * @param {object}  [opts.overrides] - topic.ai
+ * @returns {Promise<string|object>}
+ */
+export async function complete(action, prompt, { json = false, overrides = null } = {}) {
+  const opts = resolve(action, overrides)
+  const provider = config.providers[opts.provider]
+  if (!provider) throw new Error(`Unknown AI provider "${opts.provider}" for ${action}`)
+
+  logger.debug(`LLM: ${action} → ${opts.provider}/${opts.model}`)
+
+  const text = provider.type === 'anthropic'
+    ? await anthropicComplete(opts, provider, prompt, json)
+    : await openaiComplete(opts, provider, prompt, json)
+
+  return json ? parseJson(text) : text
+}
+
+/**
+ * Embed texts with an OpenAI-compatible embeddings endpoint.
+ * @param {string[]} texts
+ * @param {{ provider: string, model: string }} opts
+ * @returns {Promise<number[][]>} one vector per text, in order
+ */
+export async function embed(texts, { provider: name, model }) {
+  const provider = config.providers[name]
+  if (!provider) throw new Error(`Unknown AI provider "${name}" for embeddings`)
+  if (provider.type === 'anthropic') throw new Error(`Provider "${name}" has no embeddings endpoint — use an OpenAI-compatible one`)
+
+  logger.debug(`LLM: embeddings (${texts.length}) → ${name}/${model}`)
+  // Plain floats — the SDK's default base64 encoding isn't supported by every local server
+  const res = await openaiClient(name, provider).embeddings.create({ model, input: texts, encoding_format: 'float' })
+  return res.data.sort((a, b) => a.index - b.index).map(d => d.embedding)
+}
+
+// ── Providers ────────────────────────────────────────────────────
+
+async function openaiComplete(opts, provider, prompt, json) {
+  const res = await openaiClient(opts.provider, provider).chat.completions.create({
+    model: opts.model,
+    messages: [{ role: 'user', content: prompt }],
+    ...(json && provider.jsonMode !== false ? { response_format: { type: 'json_object' } } : {}),
+    ...(opts.temperature !== undefined ? { temperature: opts.temperature } : {}),
+    ...(opts.maxTokens ? { max_tokens: opts.maxTokens } : {}),
+  })
+  return res.choices[0].message.content ?? ''
+}
+
+function openaiClient(name, provider) {
+  if (!clients.has(name)) {
+    const apiKey = apiKeyFor(name, provider)
+    clients.set(name, new OpenAI({ apiKey, ...(provider.baseURL ? { baseURL: provider.baseURL } : {}) }))
+  }
+  return clients.get(name)
+}
+
+async function anthropicComplete(opts, provider, prompt, json) {
+  const apiKey = apiKeyFor(opts.provider, provider)
+  const res = await fetch(`${provider.baseURL ?? ANTHROPIC_URL}/v1/messages`, {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': ANTHROPIC_VERSION,
+    },
+    body: JSON.stringify({
+      model: opts.model,
+      max_tokens: opts.maxTokens ?? 1024,
+      ...(opts.temperature !== undefined ? { temperature: Math.min(opts.temperature, 1) } : {}),
+      messages: [{ role: 'user', content: json ? `${prompt}\n\nRespond with the JSON object only.` : prompt }],
+    }),
+  })
+
+  if (!res.ok) {
+    const body = await res.text().catch(() => '')
+    throw new Error(`Anthropic API ${res.status}: ${body.slice(0, 300)}`)
+  }
+  const data = await res.json()
+  return (data.content ?? []).filter(b => b.type === 'text').map(b => b.text).join('')
+}
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+// Local servers usually take any key; hosted ones need the env var set.
+function apiKeyFor(name, provider) {
+  if (provider.apiKey) return provider.apiKey
+  const envVar = provider.apiKeyEnv
+  if (envVar && process.env[envVar]) return process.env[envVar]
+  if (provider.baseURL) return 'not-needed'
+  throw new Error(`Missing ${envVar ?? `API key for provider "${name}"`} in .env`)
+}
+
+// Models without a JSON mode like to wrap the object in prose or ``` fences
+function parseJson(text) {
+  try {
+    return JSON.parse(text)
+  } catch {
+    const start = text.indexOf('{')
+    const end = text.lastIndexOf('}')
+    if (start === -1 || end <= start) throw new Error(`Model did not return JSON: ${text.slice(0, 120)}`)
+    return JSON.parse(text.slice(start, end + 1))
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Media helpers — which local files can be attached to a tweet, and how
+ * X expects them to be uploaded. The upload itself lives in twitter.js.
+ */
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const ROOT = path.join(__dirname, '..')
+
+const MB = 1024 * 1024
+
+// extension → upload parameters (X limits: 5 MB images, 15 MB GIFs)
+const MEDIA_TYPES = {
+  '.jpg':  { mimeType: 'image/jpeg', category: 'tweet_image', maxBytes: 5 * MB },
+  '.jpeg': { mimeType: 'image/jpeg', category: 'tweet_image', maxBytes: 5 * MB },
+  '.png':  { mimeType: 'image/png',  category: 'tweet_image', maxBytes: 5 * MB },
+  '.webp': { mimeType: 'image/webp', category: 'tweet_image', maxBytes: 5 * MB },
+  '.gif':  { mimeType: 'image/gif',  category: 'tweet_gif',   maxBytes: 15 * MB },
+}
+
+export const MAX_IMAGES = 4   // per tweet; a GIF must be the only attachment
+export const MAX_ALT_TEXT = 1000
+
+/**
+ * Describe a local media file for upload.
+ * Throws if the file is missing, of an unsupported type, or too large.
+ * @param {string} filePath
+ * @returns {{ path: string, name: string, mimeType: string, category: string, size: number }}
+ */
+export function mediaInfo(filePath) {
+  const type = MEDIA_TYPES[path.extname(filePath).toLowerCase()]
+  if (!type) {
+    throw new Error(`Unsupported media type: ${path.basename(filePath)} (use ${Object.keys(MEDIA_TYPES).join(', ')})`)
+  }
+  if (!fs.existsSync(filePath)) throw new Error(`Media file not found: ${filePath}`)
+
+  const { size } = fs.statSync(filePath)
+  if (size > type.maxBytes) {
+    throw new Error(`${path.basename(filePath)} is ${(size / MB).toFixed(1)} MB — limit is ${type.maxBytes / MB} MB`)
+  }
+
+  return { path: filePath, name: path.basename(filePath), mimeType: type.mimeType, category: type.category, size }
+}
+
+/**
+ * Check that a set of attachments can go on one tweet.
+ * @param {{ path: string }[]} media
+ * @returns {string|null} a reason it can't, or null if it's fine
+ */
+export function validateAttachments(media) {
+  if (media.length > MAX_IMAGES) return `At most ${MAX_IMAGES} images per tweet`
+  const gifs = media.filter(m => path.extname(m.path).toLowerCase() === '.gif').length
+  if (gifs && media.length > 1) return 'A GIF has to be the only attachment'
+  return null
+}
+
+/** Resolve a configured or typed path — relative paths are taken from the project root. */
+export function resolveMediaPath(p) {
+  return path.resolve(ROOT, p.replace(/^~(?=$|\/)/, process.env.HOME ?? '~'))
+}
+
+/**
+ * Supported media files in a folder, newest first.
+ * @param {string} dir - Absolute, or relative to the project root
+ * @returns {string[]} absolute paths
+ */
+export function listMediaFiles(dir) {
+  if (!dir) return []
+  dir = resolveMediaPath(dir)
+  if (!fs.existsSync(dir)) return []
+  return fs.readdirSync(dir)
+    .filter(f => MEDIA_TYPES[path.extname(f).toLowerCase()])
+    .map(f => path.resolve(dir, f))
+    .filter(f => fs.statSync(f).isFile())
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs)
+}
@@ -0,0 +1,211 @@
+/**
+ * Persistent approval queue.
+ * When nobody is at the terminal to approve a generated action, the draft is
+ * saved here instead of being thrown away. `npm run review` walks through the
+ * pending drafts later with the usual approval menu.
+ */
+import fs from 'fs'
+import path from 'path'
+import { randomUUID } from 'crypto'
+import { fileURLToPath } from 'url'
+import logger from './logger.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const QUEUE_PATH = path.join(__dirname, '../data/queue.json')
+const LOCK_PATH  = `${QUEUE_PATH}.lock`
+
+const HOUR = 60 * 60 * 1000
+const MAX_RESOLVED = 200 // keep last N decided drafts for reference
+const LOCK_STALE_MS   = 5_000  // a lock this old was left by a process that died holding it
+const LOCK_TIMEOUT_MS = 10_000
+const LOCK_WAIT = new Int32Array(new SharedArrayBuffer(4))
+
+let queue = { drafts: [] }
+let loadedMtime = 0 // mtime of queue.json when we last read or wrote it
+
+export function loadQueue() {
+  if (fs.existsSync(QUEUE_PATH)) {
+    try {
+      queue = JSON.parse(fs.readFileSync(QUEUE_PATH, 'utf-8'))
+      loadedMtime = fs.statSync(QUEUE_PATH).mtimeMs
+    } catch (err) {
+      // corrupted — keep the file aside instead of overwriting it on the next save
+      const backup = `${QUEUE_PATH}.corrupt-${Date.now()}`
+      fs.renameSync(QUEUE_PATH, backup)
+      logger.error(`Queue: could not parse queue.json (${err.message}) — moved to ${backup}, starting empty`)
+    }
+  }
+  return queue
+}
+
+export function saveQueue() {
+  fs.mkdirSync(path.dirname(QUEUE_PATH), { recursive: true })
+  const pending  = queue.drafts.filter(d => d.status === 'pending')
+  const resolved = queue.drafts.filter(d => d.status !== 'pending').slice(-MAX_RESOLVED)
+  queue.drafts = [...resolved, ...pending]
+  // Renaming a finished temp file over queue.json means no reader ever sees half a write
+  const tmp = `${QUEUE_PATH}.${process.pid}.tmp`
+  fs.writeFileSync(tmp, JSON.stringify(queue, null, 2))
+  fs.renameSync(tmp, QUEUE_PATH)
+  loadedMtime = fs.statSync(QUEUE_PATH).mtimeMs
+}
+
+// The daemon, `npm run review` and the dashboard may run as separate
+// processes — pick up their writes before reading or changing the queue.
+function sync() {
+  if (!fs.existsSync(QUEUE_PATH)) return
+  if (fs.statSync(QUEUE_PATH).mtimeMs !== loadedMtime) loadQueue()
+}
+
+/**
+ * Run fn with queue.json locked against the other processes, on a fresh read
+ * of it — otherwise two of them changing the queue at once would each save
+ * their own copy and the later save would drop the other's change.
+ */
+function withLock(fn) {
+  fs.mkdirSync(path.dirname(QUEUE_PATH), { recursive: true })
+  const deadline = Date.now() + LOCK_TIMEOUT_MS
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(LOCK_PATH, 'wx'))
+      break
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err
+    }
+    const held = fs.statSync(LOCK_PATH, { throwIfNoEntry: false })
+    if (held && Date.now() - held.mtimeMs > LOCK_STALE_MS) {
+      logger.warn(`Queue: removing stale lock ${LOCK_PATH}`)
+      fs.rmSync(LOCK_PATH, { force: true })
+    } else if (Date.now() > deadline) {
+      throw new Error(`Queue: ${LOCK_PATH} is still held by another process`)
+    } else {
+      Atomics.wait(LOCK_WAIT, 0, 0, 20)
+    }
+  }
+
+  try {
+    loadQueue()
+    return fn()
+  } finally {
+    fs.rmSync(LOCK_PATH, { force: true })
+  }
+}
+
+/**
+ * Add a generated draft to the queue.
+ * Drafts for a reply/quote (or a retweet, follow or bookmark) expire once the
+ * target tweet is older than `maxTargetAgeHours`; original tweets expire
+ * `tweetTtlHours` after generation.
+ *
+ * @param {object} draft    - { type, text, tone, topic, targetTweet?, ...generation context }
+ * @param {object} settings - Bot settings
+ * @returns {object|null} the queued draft, or null if an equivalent one is already pending
+ */
+export function enqueueDraft(draft, settings) {
+  return withLock(() => addDraft(draft, settings))
+}
+
+function addDraft(draft, settings) {
+  const opts = settings.queue ?? {}
+  const targetId = draft.targetTweet?.id
+
+  if (targetId && hasPendingDraft(draft.type, targetId)) {
+    logger.info(`Queue: ${draft.type} to ${targetId} already pending — not queued again`)
+    return null
+  }
+
+  const now = new Date()
+  const targetCreatedAt = draft.targetTweet?.createdAt ? new Date(draft.targetTweet.createdAt) : null
+  const expiresAt = targetCreatedAt
+    ? new Date(targetCreatedAt.getTime() + (opts.maxTargetAgeHours ?? 24) * HOUR)
+    : new Date(now.getTime() + (opts.tweetTtlHours ?? 48) * HOUR)
+
+  if (expiresAt <= now) {
+    logger.info(`Queue: target ${targetId} is already older than ${opts.maxTargetAgeHours ?? 24}h — ${draft.type} not queued`)
+    return null
+  }
+
+  const entry = {
+    ...draft,
+    id: randomUUID(),
+    status: 'pending',
+    generatedAt: now.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+  }
+
+  queue.drafts.push(entry)
+  saveQueue()
+  logger.info(`Queue: saved ${draft.type} draft for "${draft.topic}" (expires ${entry.expiresAt})`)
+  return entry
+}
+
+/** Pending drafts, oldest first. Expired drafts are resolved first. */
+export function listPending() {
+  expireDrafts()
+  return queue.drafts.filter(d => d.status === 'pending')
+}
+
+export function getDraft(id) {
+  sync()
+  return queue.drafts.find(d => d.id === id) ?? null
+}
+
+export function hasPendingDraft(type, targetId) {
+  sync()
+  return queue.drafts.some(d => d.status === 'pending' && d.type === type && d.targetTweet?.id === targetId)
+}
+
+/** True if a follow of this account is already waiting for approval (whichever of its tweets it came from). */
+export function hasPendingFollow(screenName) {
+  sync()
+  const handle = screenName.replace(/^@/, '').toLowerCase()
+  return queue.drafts.some(d => d.status === 'pending' && d.type === 'follow' && d.targetTweet?.author.toLowerCase() === handle)
+}
+
+/**
+ * Update a queued draft in place (e.g. after a tone change or edit).
+ * @param {string} id
+ * @param {object} changes
+ */
+export function updateDraft(id, changes) {
+  return withLock(() => {
+    const draft = queue.drafts.find(d => d.id === id)
+    if (!draft) return null
+    Object.assign(draft, changes)
+    saveQueue()
+    return draft
+  })
+}
+
+/**
+ * Mark a draft as decided so it leaves the pending list.
+ * @param {string} id
+ * @param {'posted'|'skipped'|'expired'} status
+ * @param {object} [extra] - Extra fields to record (e.g. the final text)
+ */
+export function resolveDraft(id, status, extra = {}) {
+  return updateDraft(id, { ...extra, status, resolvedAt: new Date().toISOString() })
+}
+
+/**
+ * Resolve every pending draft whose expiry has passed.
+ * @returns {number} how many drafts expired
+ */
+export function expireDrafts() {
+  sync()
+  const isExpired = d => d.status === 'pending' && new Date(d.expiresAt).getTime() <= Date.now()
+  if (!queue.drafts.some(isExpired)) return 0
+
+  return withLock(() => {
+    const expired = queue.drafts.filter(isExpired)
+    if (!expired.length) return 0
+
+    for (const d of expired) {
+      d.status = 'expired'
+      d.resolvedAt = new Date().toISOString()
+    }
+    saveQueue()
+    logger.info(`Queue: expired ${expired.length} stale draft(s)`)
+    return expired.length
+  })
+}
@@ -0,0 +1,102 @@
+/**
+ * Report command — how our own posts performed, from the engagement tracker,
+ * and which tones win when several candidates are shown side by side.
+ *
+ * Run: npm run report -- [--checkpoint 24h] [--since 30d] [--json]
+ */
+import chalk from 'chalk'
+import { option, parseSince } from './cli.js'
+import { engagementReport, engagementSettings } from './engagement.js'
+import { queryHistory } from './state.js'
+
+const SECTIONS = [
+  ['byTopic', 'Topic'],
+  ['byType',  'Action type'],
+  ['byTone',  'Tone'],
+  ['byHour',  'Posting hour'],
+]
+
+/**
+ * Print the engagement report.
+ * @param {string[]} args     - process.argv after the script name
+ * @param {object}   settings - Bot settings
+ */
+export function runReport(args, settings) {
+  const opts = engagementSettings(settings)
+  const since = option(args, '--since')
+  const sinceMs = since ? parseSince(since) : 0
+  const report = engagementReport({
+    checkpoint: option(args, '--checkpoint') ?? (opts.checkpoints.includes('24h') ? '24h' : opts.checkpoints[0]),
+    sinceMs,
+    timezone: opts.timezone ?? settings.guardrails?.timezone,
+  })
+  report.candidates = candidatePicks(sinceMs)
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2))
+    return
+  }
+
+  console.log()
+  console.log(chalk.bold(`  Performance after ${report.checkpoint}`) + chalk.dim(` — ${report.posts} post(s) measured${since ? ` since ${since}` : ''}`))
+  if (!report.posts) {
+    console.log(chalk.dim(`\n  No measurements yet. The tracker runs with npm run daemon; posts are measured ${opts.checkpoints.join(' / ')} after they go out.`))
+    printCandidatePicks(report.candidates)
+    return
+  }
+
+  for (const [field, title] of SECTIONS) {
+    console.log()
+    console.log(chalk.cyan(`  ${title}`))
+    console.log(chalk.dim(`  ${'group'.padEnd(24)} ${'posts'.padStart(5)} ${'likes'.padStart(7)} ${'RTs'.padStart(6)} ${'replies'.padStart(7)} ${'views'.padStart(8)} ${'eng. rate'.padStart(9)}`))
+    for (const g of report[field]) {
+      console.log(
+        `  ${g.key.slice(0, 24).padEnd(24)} ${String(g.posts).padStart(5)} ${avg(g.likes, 7)} ${avg(g.retweets, 6)} ${avg(g.replies, 7)} ${avg(g.views, 8)} ` +
+        chalk.greenBright(`${(g.rate * 100).toFixed(2)}%`.padStart(9)),
+      )
+    }
+  }
+  console.log(chalk.dim('\n  Averages per post. Engagement rate = (likes + RTs + replies) / views.'))
+  printCandidatePicks(report.candidates)
+}
+
+/**
+ * How often each tone was picked when it was one of several candidates.
+ * A merged candidate counts as picked.
+ * @param {number} [sinceMs]
+ * @returns {{ key: string, shown: number, picked: number, rate: number }[]}
+ */
+function candidatePicks(sinceMs = 0) {
+  const tones = new Map()
+  for (const d of queryHistory({ type: 'decision', sinceMs, limit: 100_000 })) {
+    const choice = d.details?.choice
+    if (!choice) continue
+    const chosen = choice.merged ?? [choice.candidate]
+    choice.tones.forEach((tone, i) => {
+      const key = tone ?? 'default'
+      const t = tones.get(key) ?? { key, shown: 0, picked: 0, rate: 0 }
+      t.shown++
+      if (chosen.includes(i + 1)) t.picked++
+      tones.set(key, t)
+    })
+  }
+  return [...tones.values()]
+    .map(t => ({ ...t, rate: t.picked / t.shown }))
+    .sort((a, b) => b.rate - a.rate)
+}
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+function printCandidatePicks(picks) {
+  if (!picks.length) return
+  console.log()
+  console.log(chalk.cyan('  Candidate picks by tone'))
+  console.log(chalk.dim(`  ${'tone'.padEnd(24)} ${'shown'.padStart(5)} ${'picked'.padStart(7)} ${'pick rate'.padStart(9)}`))
+  for (const p of picks) {
+    console.log(`  ${p.key.slice(0, 24).padEnd(24)} ${String(p.shown).padStart(5)} ${String(p.picked).padStart(7)} ` + chalk.greenBright(`${Math.round(p.rate * 100)}%`.padStart(9)))
+  }
+}
+
+function avg(n, width) {
+  return (n >= 100 ? Math.round(n).toString() : n.toFixed(1)).padStart(width)
+}
@@ -0,0 +1,84 @@
+/**
+ * Review command — walks through drafts waiting in the approval queue
+ * with the same Approve / Edit / Change tone / Skip menu as a live cycle
+ * (queued retweets, follows and bookmarks get the same tick-to-approve list).
+ *
+ * Run: npm run review
+ */
+import chalk from 'chalk'
+import { reviewDraft, publishDraft, isAlreadyHandled } from './bot.js'
+import { isInteractive } from './approver.js'
+import { listPending, updateDraft, resolveDraft } from './queue.js'
+import logger from './logger.js'
+
+/**
+ * Review every pending draft, oldest first.
+ * Ctrl+C stops the review; drafts not yet decided stay in the queue.
+ * @param {object} settings - Bot settings
+ */
+export async function runReview(settings) {
+  if (!isInteractive()) {
+    logger.error('Review: needs an interactive terminal (no TTY)')
+    return
+  }
+
+  const pending = listPending()
+
+  if (!pending.length) {
+    logger.info('Review: approval queue is empty')
+    return
+  }
+
+  logger.info(`Review: ${pending.length} draft(s) waiting`)
+
+  let posted = 0, skipped = 0
+  for (const [i, draft] of pending.entries()) {
+    if (isAlreadyHandled(draft)) {
+      resolveDraft(draft.id, 'skipped', { reason: 'already handled' })
+      logger.info(`Review: ${draft.type} of ${draft.targetTweet.id} was already done — dropping draft`)
+      continue
+    }
+
+    console.log()
+    console.log(chalk.dim(`  Draft ${i + 1}/${pending.length} · generated ${timeAgo(draft.generatedAt)} · expires ${timeAgo(draft.expiresAt)}`))
+
+    let result
+    try {
+      result = await reviewDraft(draft)
+    } catch {
+      // Ctrl+C inside the prompt — keep the rest of the queue for later
+      break
+    }
+
+    // Keep the last shown tone/content even if the draft stays pending
+    updateDraft(draft.id, { text: draft.text, parts: draft.parts, tone: draft.tone, toneReason: draft.toneReason, media: draft.media, duplicateOf: draft.duplicateOf, candidates: draft.candidates, choice: draft.choice, translation: draft.translation, targetTranslation: draft.targetTranslation })
+
+    if (result.action !== 'post') {
+      resolveDraft(draft.id, 'skipped')
+      skipped++
+      continue
+    }
+
+    try {
+      const res = await publishDraft(draft, result.parts ?? result.text)
+      resolveDraft(draft.id, 'posted', { text: result.text ?? draft.text, postedId: res?.id ?? null, postedIds: draft.postedIds })
+      posted++
+      await sleep(settings.delayBetweenActions ?? 5000)
+    } catch (err) {
+      // Leave it pending so it can be retried on the next review
+      logger.error(`Review: ${draft.type} failed:`, err.message)
+      if (draft.postedIds) updateDraft(draft.id, { postedIds: draft.postedIds })
+    }
+  }
+
+  logger.info(`Review: done — ${posted} posted, ${skipped} skipped, ${listPending().length} still pending`)
+}
+
+function timeAgo(iso) {
+  const diff = Date.now() - new Date(iso).getTime()
+  const mins = Math.round(Math.abs(diff) / 60000)
+  const span = mins < 60 ? `${mins}m` : mins < 48 * 60 ? `${Math.round(mins / 60)}h` : `${Math.round(mins / 1440)}d`
+  return diff >= 0 ? `${span} ago` : `in ${span}`
+}
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)) }
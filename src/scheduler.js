@@ -1,11 +1,20 @@
 /**
  * Cron-based scheduler.
  * Reads the schedule from settings.json and runs topic cycles accordingly.
+ * With settings.mentions.enabled, each pass starts with the mentions inbox.
+ *
+ * Only one pass over the topics runs at a time — a cron tick that fires while
+ * the previous pass is still going is skipped rather than queued.
  */
 import cron from 'node-cron'
-import { runTopicCycle } from './bot.js'
+import { runTopicCycle, runMentionsCycle } from './bot.js'
 import logger from './logger.js'
 
+let task = null
+let running = null      // promise of the pass in progress, if any
+let stopping = false
+let wakeSleep = null    // resolves the current between-topics sleep early
+
 /**
  * Start all scheduled jobs.
  * @param {object[]} topics   - Array of topic configs
@@ -14,25 +23,66 @@ import logger from './logger.js'
 export function startScheduler(topics, settings) {
   const schedule = settings.schedule ?? '0 */2 * * *' // default: every 2 hours
 
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid cron expression in settings.schedule: "${schedule}"`)
+  }
+
   logger.info(`Scheduler: starting with cron "${schedule}" for ${topics.length} topics`)
 
-  // Run immediately on startup (unless dryRun)
+  // Run immediately on startup (unless runOnStart is false)
   if (settings.runOnStart !== false) {
     logger.info('Scheduler: running initial cycle on startup')
-    runAllTopics(topics, settings)
+    trigger(topics, settings)
   }
 
-  cron.schedule(schedule, () => {
+  task = cron.schedule(schedule, () => {
     logger.info('Scheduler: cron tick — starting topic cycles')
-    runAllTopics(topics, settings)
+    trigger(topics, settings)
   })
 }
 
+/**
+ * Stop the cron job and wait for the topic currently in progress to finish.
+ * Topics that haven't started yet in this pass are not run.
+ * @returns {Promise<void>}
+ */
+export async function stopScheduler() {
+  stopping = true
+  task?.stop()
+  task = null
+  wakeSleep?.()
+
+  if (running) {
+    logger.info('Scheduler: waiting for the current topic to finish...')
+    await running
+  }
+  logger.info('Scheduler: stopped')
+}
+
+function trigger(topics, settings) {
+  if (stopping) return
+  if (running) {
+    logger.warn('Scheduler: previous cycle still running — skipping this tick')
+    return
+  }
+  running = runAllTopics(topics, settings).finally(() => { running = null })
+}
+
 /**
  * Run cycles for all topics sequentially (to avoid rate limits).
  */
 async function runAllTopics(topics, settings) {
+  if (settings.mentions?.enabled) {
+    try {
+      await runMentionsCycle(settings)
+    } catch (err) {
+      logger.error('Scheduler: unhandled error in the mentions cycle:', err.message)
+    }
+    if (!stopping) await sleep(settings.delayBetweenTopics ?? 15000)
+  }
+
   for (const topic of topics) {
+    if (stopping) break
     if (topic.enabled === false) {
       logger.info(`Scheduler: topic "${topic.name}" is disabled, skipping`)
       continue
@@ -42,11 +92,16 @@ async function runAllTopics(topics, settings) {
     } catch (err) {
       logger.error(`Scheduler: unhandled error in topic "${topic.name}":`, err.message)
     }
+    if (stopping) break
     // Gap between topics to avoid hammering the API
     await sleep(settings.delayBetweenTopics ?? 15000)
   }
 }
 
 function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms))
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms)
+    function done() { clearTimeout(timer); wakeSleep = null; resolve() }
+    wakeSleep = done
+  })
 }
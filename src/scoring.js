@@ -0,0 +1,198 @@
+/**
+ * Tweet scoring — decides which fetched tweets are worth engaging with.
+ *
+ *   engagement = likes × w.likes + retweets × w.retweets + replies × w.replies
+ *   velocity   = engagement per hour since posting (at least 1h)
+ *   viewRate   = engagement per 1,000 views (at least 100 views)
+ *   decay      = 0.5 ^ (age / halfLifeHours)
+ *
+ *   score = (engagement + w.velocity × velocity + w.viewRate × viewRate) × decay
+ *
+ * settings.scoring sets the defaults and a topic's own `scoring` block
+ * overrides them. Replies need a target scoring at least thresholds.reply,
+ * quotes one above thresholds.quote.
+ *
+ * `npm run score -- --topic "AI and machine learning"` fetches a topic's
+ * tweets, applies the topic's filters and shows every part of every score.
+ *
+ * Run: npm run score -- (--topic name | --query "search") [--limit 15] [--json]
+ */
+import chalk from 'chalk'
+import { option } from './cli.js'
+import { fetchTopicTweets } from './bot.js'
+import { filterRules, applyFilters, describeDropped } from './filters.js'
+
+const HOUR = 60 * 60 * 1000
+
+const DEFAULTS = {
+  weights: { likes: 1, retweets: 2, replies: 1.5, velocity: 2, viewRate: 1 },
+  halfLifeHours: 24,
+  thresholds: { reply: 0, quote: 10 },
+}
+
+// Floors so a tweet from two minutes ago or with a dozen views doesn't get
+// an absurd velocity or view rate
+const MIN_AGE_HOURS = 1
+const MIN_VIEWS = 100
+
+/**
+ * Scoring rules for a topic: settings.scoring with the topic's scoring on top.
+ * @param {object} settings - Bot settings
+ * @param {object} [topic]
+ */
+export function scoringRules(settings, topic = {}) {
+  const base = settings.scoring ?? {}
+  const own  = topic.scoring ?? {}
+  return {
+    ...DEFAULTS, ...base, ...own,
+    weights:    { ...DEFAULTS.weights, ...base.weights, ...own.weights },
+    thresholds: { ...DEFAULTS.thresholds, ...base.thresholds, ...own.thresholds },
+  }
+}
+
+/**
+ * Check settings.scoring and every topic's scoring block; throws listing
+ * every problem.
+ * @param {object}   settings
+ * @param {object[]} [topics]
+ */
+export function validateScoring(settings, topics = []) {
+  const problems = []
+  const check = (where, block) => {
+    if (!block) return
+    for (const [key, value] of Object.entries(block.weights ?? {})) {
+      if (!(key in DEFAULTS.weights)) problems.push(`${where}: unknown weight "${key}" (expected ${Object.keys(DEFAULTS.weights).join(', ')})`)
+      else if (typeof value !== 'number' || value < 0) problems.push(`${where}: weights.${key} must be a number ≥ 0`)
+    }
+    for (const [key, value] of Object.entries(block.thresholds ?? {})) {
+      if (!(key in DEFAULTS.thresholds)) problems.push(`${where}: unknown threshold "${key}" (expected reply, quote)`)
+      else if (typeof value !== 'number') problems.push(`${where}: thresholds.${key} must be a number`)
+    }
+    if (block.halfLifeHours != null && !(block.halfLifeHours > 0)) problems.push(`${where}: halfLifeHours must be above 0, or null for no decay`)
+  }
+
+  check('settings.scoring', settings.scoring)
+  for (const topic of topics) check(`topic "${topic.name}" scoring`, topic.scoring)
+  if (problems.length) throw new Error(`Invalid scoring settings:\n  ${problems.join('\n  ')}`)
+}
+
+/**
+ * Score one tweet and keep every part of the calculation.
+ * @param {object} tweet
+ * @param {object} [rules] - From scoringRules
+ * @param {number} [now]   - Epoch ms, for a consistent clock across a ranking
+ * @returns {{ tweet: object, score: number, engagement: number, velocity: number, viewRate: number, decay: number, ageHours: number|null }}
+ */
+export function scoreTweet(tweet, rules = DEFAULTS, now = Date.now()) {
+  const w = rules.weights
+  const engagement = (tweet.likes ?? 0) * w.likes + (tweet.retweets ?? 0) * w.retweets + (tweet.replies ?? 0) * w.replies
+
+  const posted   = tweet.createdAt ? new Date(tweet.createdAt).getTime() : NaN
+  const ageHours = Number.isNaN(posted) ? null : Math.max(0, (now - posted) / HOUR)
+  const velocity = ageHours === null ? 0 : engagement / Math.max(ageHours, MIN_AGE_HOURS)
+  const viewRate = tweet.views ? engagement / Math.max(tweet.views, MIN_VIEWS) * 1000 : 0
+  const decay    = rules.halfLifeHours && ageHours !== null ? 0.5 ** (ageHours / rules.halfLifeHours) : 1
+
+  const score = (engagement + w.velocity * velocity + w.viewRate * viewRate) * decay
+  return { tweet, score, engagement, velocity, viewRate, decay, ageHours }
+}
+
+/**
+ * Score tweets and sort them best first.
+ * @param {object[]} tweets
+ * @param {object}   [rules] - From scoringRules
+ * @returns {ReturnType<typeof scoreTweet>[]}
+ */
+export function rankTweets(tweets, rules = DEFAULTS) {
+  const now = Date.now()
+  return tweets.map(t => scoreTweet(t, rules, now)).sort((a, b) => b.score - a.score)
+}
+
+/**
+ * One-line explanation of a score, e.g.
+ * "@sama 212.4 = (180 engagement + 2 × 36.0/h + 1 × 4.2/1k views) × 0.87 (5h old)".
+ * @param {ReturnType<typeof scoreTweet>} scored
+ * @param {object} [rules] - From scoringRules
+ */
+export function describeScore(scored, rules = DEFAULTS) {
+  const w = rules.weights
+  const age = scored.ageHours === null ? 'age unknown' : `${formatAge(scored.ageHours)} old`
+  return `@${scored.tweet.author} ${fmt(scored.score)} = (${fmt(scored.engagement)} engagement` +
+    ` + ${w.velocity} × ${fmt(scored.velocity)}/h + ${w.viewRate} × ${fmt(scored.viewRate)}/1k views)` +
+    ` × ${scored.decay.toFixed(2)} (${age})`
+}
+
+// ── Command ──────────────────────────────────────────────────────
+
+/**
+ * Fetch a topic's (or a search's) tweets and print how each one scored.
+ * @param {string[]} args     - process.argv after the script name
+ * @param {object}   settings - Bot settings
+ * @param {object[]} topics   - From config/topics.json
+ */
+export async function runScore(args, settings, topics) {
+  const name  = option(args, '--topic')
+  const query = option(args, '--query')
+  let topic
+  if (name) {
+    topic = topics.find(t => t.name.toLowerCase() === name.toLowerCase())
+    if (!topic) throw new Error(`Score: no topic "${name}" in config/topics.json — topics: ${topics.map(t => t.name).join(', ')}`)
+  } else if (query) {
+    topic = { name: query, searchQueries: [query] }
+  } else {
+    throw new Error('Score: pass --topic "<name>" or --query "<search>"')
+  }
+
+  const { tweets: fetched, failed } = await fetchTopicTweets(topic, settings)
+  const { kept, dropped } = applyFilters(fetched, filterRules(settings, topic))
+  const rules  = scoringRules(settings, topic)
+  const ranked = rankTweets(kept, rules)
+  const shown  = ranked.slice(0, Number(option(args, '--limit') ?? 15))
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({ topic: topic.name, rules, fetched: fetched.length, failed, dropped, tweets: shown.map(s => ({ ...s, tweet: { id: s.tweet.id, author: s.tweet.author, url: s.tweet.url, text: s.tweet.text } })) }, null, 2))
+    return
+  }
+
+  console.log()
+  console.log(chalk.bold(`  Scores for "${topic.name}"`) + chalk.dim(` — ${ranked.length} tweet(s), showing ${shown.length}`))
+  for (const f of failed) console.log(chalk.yellow(`  fetch ${f.source} failed: ${f.error}`))
+  if (kept.length < fetched.length) console.log(chalk.dim(`  filters dropped ${fetched.length - kept.length} of ${fetched.length}: ${describeDropped(dropped)}`))
+  if (!shown.length) return
+
+  const w = rules.weights
+  console.log(chalk.dim(`  weights: likes ${w.likes} · RTs ${w.retweets} · replies ${w.replies} · velocity ${w.velocity} · view rate ${w.viewRate}` +
+    ` · half-life ${rules.halfLifeHours ? `${rules.halfLifeHours}h` : 'off'} · reply ≥ ${rules.thresholds.reply} · quote > ${rules.thresholds.quote}`))
+  console.log()
+  console.log(chalk.dim(`  ${'#'.padStart(3)} ${'author'.padEnd(16)} ${'score'.padStart(8)} ${'engage'.padStart(7)} ${'per h'.padStart(7)} ${'per 1k'.padStart(7)} ${'age'.padStart(6)} ${'decay'.padStart(5)}  targets`))
+  shown.forEach((s, i) => {
+    const targets = [s.score >= rules.thresholds.reply && 'reply', s.score > rules.thresholds.quote && 'quote'].filter(Boolean).join(' ')
+    console.log(
+      `  ${String(i + 1).padStart(3)} ${`@${s.tweet.author}`.slice(0, 16).padEnd(16)} ${chalk.greenBright(fmt(s.score).padStart(8))} ` +
+      `${fmt(s.engagement).padStart(7)} ${fmt(s.velocity).padStart(7)} ${fmt(s.viewRate).padStart(7)} ` +
+      `${(s.ageHours === null ? '?' : formatAge(s.ageHours)).padStart(6)} ${s.decay.toFixed(2).padStart(5)}  ${chalk.cyan(targets || '—')}`,
+    )
+    console.log(chalk.dim(`      ${oneLine(s.tweet.text)}`))
+  })
+
+  const [first, second] = ranked
+  console.log()
+  console.log(chalk.cyan('  Why #1 ranked first'))
+  console.log(`  ${describeScore(first, rules)}`)
+  if (second) console.log(chalk.dim(`  ${describeScore(second, rules)}`))
+}
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+function formatAge(hours) {
+  return hours < 1 ? `${Math.round(hours * 60)}m` : hours < 48 ? `${Math.round(hours)}h` : `${Math.round(hours / 24)}d`
+}
+
+function fmt(n) {
+  return n >= 100 ? Math.round(n).toString() : n.toFixed(1)
+}
+
+function oneLine(text) {
+  const flat = text.replace(/\s+/g, ' ')
+  return flat.length > 100 ? `${flat.slice(0, 100)}…` : flat
+}
@@ -0,0 +1,100 @@
+/**
+ * Search options — turns a topic's structured `search` block into X search
+ * operators, so searchQueries can stay plain keywords.
+ *
+ *   "search": {
+ *     "mode": "latest", "count": 60,
+ *     "minFaves": 20, "minRetweets": 5, "since": "2d",
+ *     "excludeReplies": true, "media": false,
+ *     "from": ["karpathy"], "to": []
+ *   }
+ *
+ * becomes `<query> (from:karpathy) min_faves:20 min_retweets:5 -filter:replies
+ * since_time:…`. settings.search sets the defaults for every topic; a topic's
+ * block overrides them field by field. An operator the query already contains
+ * is left alone, so hand-written queries keep working.
+ */
+import { parseSince } from './cli.js'
+
+const DEFAULTS = {
+  mode: 'top',           // top | latest
+  maxPages: 5,           // pages fetched per query at most, whatever count says
+  minFaves: null,
+  minRetweets: null,
+  since: null,           // "12h", "7d" or a date
+  until: null,
+  excludeReplies: false,
+  media: false,          // only tweets with images or video
+  from: [],
+  to: [],
+}
+
+const MODES = ['top', 'latest']
+
+/**
+ * Search options for a topic: settings.search with the topic's search on top.
+ * count falls back to settings.tweetsPerSearch.
+ * @param {object} settings - Bot settings
+ * @param {object} [topic]
+ */
+export function searchRules(settings, topic = {}) {
+  const rules = { ...DEFAULTS, ...settings.search, ...topic.search }
+  rules.count = rules.count ?? settings.tweetsPerSearch ?? 20
+  return rules
+}
+
+/**
+ * Compose a query with the operators the rules ask for.
+ * @param {string}   query
+ * @param {object}   rules       - From searchRules
+ * @param {string[]} [languages] - topic.languages, added as lang:
+ * @returns {string}
+ */
+export function buildSearchQuery(query, rules, languages = []) {
+  const has = (...ops) => ops.some(op => new RegExp(`(^|[\\s(])-?${op}`).test(query))
+  const any = (op, values) => values.length === 1 ? `${op}:${values[0]}` : `(${values.map(v => `${op}:${v}`).join(' OR ')})`
+  const parts = [query]
+
+  if (rules.from.length && !has('from:')) parts.push(any('from', rules.from.map(h => h.replace(/^@/, ''))))
+  if (rules.to.length && !has('to:')) parts.push(any('to', rules.to.map(h => h.replace(/^@/, ''))))
+  if (languages?.length && !has('lang:')) parts.push(any('lang', languages))
+  if (rules.minFaves && !has('min_faves:')) parts.push(`min_faves:${rules.minFaves}`)
+  if (rules.minRetweets && !has('min_retweets:')) parts.push(`min_retweets:${rules.minRetweets}`)
+  if (rules.excludeReplies && !has('filter:replies')) parts.push('-filter:replies')
+  if (rules.media && !has('filter:media')) parts.push('filter:media')
+  if (rules.since && !has('since:', 'since_time:')) parts.push(`since_time:${Math.floor(parseSince(rules.since) / 1000)}`)
+  if (rules.until && !has('until:', 'until_time:')) parts.push(`until_time:${Math.floor(parseSince(rules.until) / 1000)}`)
+  return parts.join(' ')
+}
+
+/**
+ * Check settings.search, settings.fetchConcurrency and every topic's search
+ * block; throws listing every problem.
+ * @param {object}   settings
+ * @param {object[]} [topics]
+ */
+export function validateSearch(settings, topics = []) {
+  const problems = []
+  const check = (where, block) => {
+    if (!block) return
+    for (const [key, value] of Object.entries(block)) {
+      if (key.startsWith('_')) continue
+      if (!(key in DEFAULTS) && key !== 'count') problems.push(`${where}: unknown option "${key}"`)
+      else if (key === 'mode' && !MODES.includes(value)) problems.push(`${where}: mode must be ${MODES.join(' or ')}`)
+      else if (['count', 'maxPages'].includes(key) && !(Number.isInteger(value) && value >= 1)) problems.push(`${where}: ${key} must be a whole number ≥ 1`)
+      else if (['minFaves', 'minRetweets'].includes(key) && value !== null && !(Number.isInteger(value) && value >= 0)) problems.push(`${where}: ${key} must be a whole number ≥ 0, or null`)
+      else if (['excludeReplies', 'media'].includes(key) && typeof value !== 'boolean') problems.push(`${where}: ${key} must be true or false`)
+      else if (['from', 'to'].includes(key) && !(Array.isArray(value) && value.every(v => typeof v === 'string'))) problems.push(`${where}: ${key} must be a list of handles`)
+      else if (['since', 'until'].includes(key) && value !== null) {
+        try { parseSince(String(value)) } catch { problems.push(`${where}: ${key} must be like "12h", "7d" or a date — got "${value}"`) }
+      }
+    }
+  }
+
+  check('settings.search', settings.search)
+  if (settings.fetchConcurrency !== undefined && !(Number.isInteger(settings.fetchConcurrency) && settings.fetchConcurrency >= 1)) {
+    problems.push('fetchConcurrency must be a whole number ≥ 1')
+  }
+  for (const topic of topics) check(`topic "${topic.name}" search`, topic.search)
+  if (problems.length) throw new Error(`Invalid search settings:\n  ${problems.join('\n  ')}`)
+}
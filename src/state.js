@@ -1,63 +1,355 @@
 /**
  * Persistent state to track what we've already acted on.
- * Prevents duplicate replies/quotes across restarts.
+ * Prevents duplicate replies, quotes, retweets, bookmarks and follows across
+ * restarts.
+ *
+ * Backed by SQLite (data/echomind.db) — every mark* call is a single insert,
+ * nothing is trimmed, and the daemon, `npm run review` and the dashboard can
+ * all use it at once. Besides the dedup tables (including the mentions inbox's
+ * triage results) it keeps an action history:
+ * every fetch, analysis, draft, approval decision, post, like, retweet,
+ * bookmark and follow, queryable with `npm run history`.
+ *
+ * An existing data/state.json is imported on first start and renamed to
+ * state.json.migrated.
  */
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import Database from 'better-sqlite3'
+import logger from './logger.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
-const STATE_PATH = path.join(__dirname, '../data/state.json')
+const DB_PATH = path.join(__dirname, '../data/echomind.db')
+const LEGACY_PATH = path.join(__dirname, '../data/state.json')
 
-let state = {
-  repliedTo: [],      // tweet IDs we've replied to
-  quotedTweets: [],   // tweet IDs we've quote-tweeted
-  postedTweets: [],   // our own tweet IDs posted
-  lastRunAt: null,
-}
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS engaged (       -- tweets we replied to / quoted / posted / retweeted / bookmarked
+    kind     TEXT NOT NULL,                  -- reply | quote | post | retweet | unretweet | bookmark
+    tweet_id TEXT NOT NULL,
+    at       TEXT NOT NULL,
+    PRIMARY KEY (kind, tweet_id)
+  );
+  CREATE TABLE IF NOT EXISTS follows (       -- accounts we followed; kept after an unfollow so they aren't followed again
+    screen_name TEXT PRIMARY KEY,            -- lowercased, without @
+    user_id     TEXT,
+    at          TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS threads (
+    root_id   TEXT PRIMARY KEY,
+    ids       TEXT NOT NULL,                 -- JSON array
+    parts     TEXT NOT NULL,                 -- JSON array
+    topic     TEXT,
+    complete  INTEGER NOT NULL,
+    posted_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS writes (        -- every write to X, counted by guardrails.js
+    kind TEXT NOT NULL,
+    at   TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS writes_at ON writes (at);
+  CREATE TABLE IF NOT EXISTS posts (         -- text of everything we posted, checked by duplicates.js
+    id    TEXT,
+    type  TEXT NOT NULL,
+    text  TEXT NOT NULL,
+    topic TEXT,
+    tone  TEXT,
+    at    TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS posts_at ON posts (at);
+  CREATE TABLE IF NOT EXISTS mentions (      -- mentions of us triaged by the inbox
+    tweet_id TEXT PRIMARY KEY,
+    author   TEXT,
+    category TEXT NOT NULL,                  -- question | praise | criticism | spam | other
+    outcome  TEXT NOT NULL,                  -- drafted | liked | ignored
+    at       TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS actions (       -- the action history
+    id        INTEGER PRIMARY KEY AUTOINCREMENT,
+    at        TEXT NOT NULL,
+    type      TEXT NOT NULL,                 -- fetch | analysis | draft | decision | tweet | reply | quote | thread | like | retweet | unretweet | bookmark | follow
+    topic     TEXT,
+    tone      TEXT,
+    target_id TEXT,                          -- tweet acted on
+    tweet_ids TEXT,                          -- JSON array of tweet IDs X returned
+    text      TEXT,
+    details   TEXT                           -- JSON
+  );
+  CREATE INDEX IF NOT EXISTS actions_at ON actions (at);
+  CREATE TABLE IF NOT EXISTS meta (
+    key   TEXT PRIMARY KEY,
+    value TEXT
+  );
+`
 
-const MAX_HISTORY = 500 // keep last N IDs to avoid unbounded growth
+let db = null
 
+/**
+ * Open (or create) the database and import a legacy state.json.
+ * Throws if the file exists but isn't a usable database — history is never
+ * silently thrown away.
+ */
 export function loadState() {
-  if (fs.existsSync(STATE_PATH)) {
-    try {
-      state = JSON.parse(fs.readFileSync(STATE_PATH, 'utf-8'))
-    } catch {
-      // corrupted, start fresh
-    }
+  if (db) return db
+  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true })
+
+  try {
+    db = new Database(DB_PATH)
+    db.pragma('journal_mode = WAL')
+    db.pragma('busy_timeout = 5000')
+    db.exec(SCHEMA)
+  } catch (err) {
+    db = null
+    throw new Error(`State: can't open ${DB_PATH} (${err.message}) — move it aside to start fresh`)
   }
-  return state
+
+  if (fs.existsSync(LEGACY_PATH)) migrateLegacy()
+  return db
 }
 
-export function saveState() {
-  fs.mkdirSync(path.dirname(STATE_PATH), { recursive: true })
-  // Trim history
-  state.repliedTo = state.repliedTo.slice(-MAX_HISTORY)
-  state.quotedTweets = state.quotedTweets.slice(-MAX_HISTORY)
-  state.postedTweets = state.postedTweets.slice(-MAX_HISTORY)
-  state.lastRunAt = new Date().toISOString()
-  fs.writeFileSync(STATE_PATH, JSON.stringify(state, null, 2))
+function conn() {
+  return db ?? loadState()
+}
+
+/** The open database, for modules that keep their own tables (engagement.js). */
+export function getDb() {
+  return conn()
 }
 
 export function hasRepliedTo(tweetId) {
-  return state.repliedTo.includes(tweetId)
+  return isEngaged('reply', tweetId)
 }
 
 export function hasQuoted(tweetId) {
-  return state.quotedTweets.includes(tweetId)
+  return isEngaged('quote', tweetId)
 }
 
 export function markReplied(tweetId) {
-  state.repliedTo.push(tweetId)
-  saveState()
+  engage('reply', tweetId)
 }
 
 export function markQuoted(tweetId) {
-  state.quotedTweets.push(tweetId)
-  saveState()
+  engage('quote', tweetId)
 }
 
 export function markPosted(tweetId) {
-  state.postedTweets.push(tweetId)
-  saveState()
+  engage('post', tweetId)
+}
+
+/** True while this tweet is retweeted by us — an unretweet clears it. */
+export function hasRetweeted(tweetId) {
+  return isEngaged('retweet', tweetId)
+}
+
+export function markRetweeted(tweetId) {
+  engage('retweet', tweetId)
+}
+
+/** True if we once retweeted this tweet and took it back. */
+export function hasUnretweeted(tweetId) {
+  return isEngaged('unretweet', tweetId)
+}
+
+/** Clear the retweet mark, remembering the unretweet so the bot doesn't retweet it again. */
+export function markUnretweeted(tweetId) {
+  conn().transaction(() => {
+    conn().prepare("DELETE FROM engaged WHERE kind = 'retweet' AND tweet_id = ?").run(String(tweetId))
+    engage('unretweet', tweetId)
+  })()
+}
+
+export function hasBookmarked(tweetId) {
+  return isEngaged('bookmark', tweetId)
+}
+
+export function markBookmarked(tweetId) {
+  engage('bookmark', tweetId)
+}
+
+/** True if we ever followed this account. */
+export function hasFollowed(screenName) {
+  return !!conn().prepare('SELECT 1 FROM follows WHERE screen_name = ?').get(handleKey(screenName))
+}
+
+export function markFollowed(screenName, userId = null) {
+  conn().prepare('INSERT OR IGNORE INTO follows (screen_name, user_id, at) VALUES (?, ?, ?)')
+    .run(handleKey(screenName), userId ? String(userId) : null, now())
+}
+
+/**
+ * Record a (possibly partial) thread. Called after every posted part, so a
+ * thread that fails halfway is still on record with the IDs that made it.
+ * @param {{ rootId: string, ids: string[], parts: string[], topic: string, complete: boolean }} thread
+ */
+export function markThread(thread) {
+  conn().transaction(() => {
+    for (const id of thread.ids) engage('post', id)
+    conn().prepare(`
+      INSERT INTO threads (root_id, ids, parts, topic, complete, posted_at) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (root_id) DO UPDATE SET ids = excluded.ids, parts = excluded.parts, complete = excluded.complete
+    `).run(thread.rootId, JSON.stringify(thread.ids), JSON.stringify(thread.parts), thread.topic ?? null, thread.complete ? 1 : 0, thread.postedAt ?? now())
+  })()
+}
+
+/** True if the mentions inbox already triaged this tweet. */
+export function hasHandledMention(tweetId) {
+  return !!conn().prepare('SELECT 1 FROM mentions WHERE tweet_id = ?').get(String(tweetId))
+}
+
+/**
+ * Record how the mentions inbox dealt with a mention, so it isn't triaged again.
+ * @param {{ id: string, author?: string, category: string, outcome: 'drafted'|'liked'|'ignored' }} mention
+ */
+export function markMentionHandled({ id, author, category, outcome }) {
+  conn().prepare('INSERT OR REPLACE INTO mentions (tweet_id, author, category, outcome, at) VALUES (?, ?, ?, ?, ?)')
+    .run(String(id), author ?? null, category, outcome, now())
+}
+
+/**
+ * Log a write to X (tweet, reply, quote, like…) for quota counting.
+ * @param {string} kind
+ */
+export function recordWrite(kind) {
+  conn().prepare('INSERT INTO writes (kind, at) VALUES (?, ?)').run(kind, now())
+}
+
+/**
+ * How many writes of the given kinds happened since a point in time.
+ * @param {string[]} kinds
+ * @param {number}   sinceMs - epoch ms
+ */
+export function countWritesSince(kinds, sinceMs) {
+  const row = conn().prepare(`SELECT COUNT(*) AS n FROM writes WHERE at >= ? AND kind IN (${placeholders(kinds)})`)
+    .get(iso(sinceMs), ...kinds)
+  return row.n
+}
+
+/**
+ * Time of the most recent write of the given kinds.
+ * @param {string[]} kinds
+ * @returns {number|null} epoch ms
+ */
+export function lastWriteAt(kinds) {
+  const row = conn().prepare(`SELECT MAX(at) AS at FROM writes WHERE kind IN (${placeholders(kinds)})`).get(...kinds)
+  return row.at ? Date.parse(row.at) : null
+}
+
+/**
+ * Keep the text of something we posted, so new drafts can be compared to it.
+ * @param {{ id: string, type: string, text: string, topic?: string, tone?: string|null }} post
+ */
+export function recordPost(post) {
+  conn().prepare('INSERT INTO posts (id, type, text, topic, tone, at) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(post.id ?? null, post.type, post.text, post.topic ?? null, post.tone ?? null, now())
+}
+
+/**
+ * Our posts since a point in time, oldest first.
+ * @param {number} [sinceMs] - epoch ms
+ */
+export function getPosts(sinceMs = 0) {
+  return conn().prepare('SELECT id, type, text, topic, tone, at FROM posts WHERE at >= ? ORDER BY at').all(iso(sinceMs))
+}
+
+// ── Action history ────────────────────────────────────────────────
+
+/**
+ * Append an entry to the action history.
+ * @param {string} type - fetch | analysis | draft | decision | tweet | reply | quote | thread | like | retweet | unretweet | follow | bookmark
+ * @param {object} [entry]
+ * @param {string}   [entry.topic]
+ * @param {string}   [entry.tone]
+ * @param {string}   [entry.targetId] - Tweet acted on
+ * @param {string[]} [entry.tweetIds] - Tweet IDs returned by X
+ * @param {string}   [entry.text]
+ * @param {object}   [entry.details]  - Anything else worth keeping
+ */
+export function logAction(type, { topic, tone, targetId, tweetIds, text, details } = {}) {
+  conn().prepare(`
+    INSERT INTO actions (at, type, topic, tone, target_id, tweet_ids, text, details) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(now(), type, topic ?? null, tone ?? null, targetId ?? null,
+    tweetIds?.length ? JSON.stringify(tweetIds) : null, text ?? null, details ? JSON.stringify(details) : null)
+}
+
+/**
+ * Query the action history, newest first.
+ * @param {object} [filter]
+ * @param {string} [filter.type]
+ * @param {string} [filter.topic]
+ * @param {number} [filter.sinceMs] - epoch ms
+ * @param {string} [filter.search]  - Substring of the text
+ * @param {number} [filter.limit]
+ * @returns {{ id: number, at: string, type: string, topic: string|null, tone: string|null, targetId: string|null, tweetIds: string[], text: string|null, details: object|null }[]}
+ */
+export function queryHistory({ type, topic, sinceMs, search, limit = 50 } = {}) {
+  const where = [], params = []
+  if (type)    { where.push('type = ?');  params.push(type) }
+  if (topic)   { where.push('topic = ?'); params.push(topic) }
+  if (sinceMs) { where.push('at >= ?');   params.push(iso(sinceMs)) }
+  if (search)  { where.push('text LIKE ?'); params.push(`%${search}%`) }
+
+  const rows = conn().prepare(`
+    SELECT * FROM actions ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?
+  `).all(...params, limit)
+
+  return rows.map(r => ({
+    id: r.id, at: r.at, type: r.type, topic: r.topic, tone: r.tone, targetId: r.target_id,
+    tweetIds: r.tweet_ids ? JSON.parse(r.tweet_ids) : [], text: r.text, details: r.details ? JSON.parse(r.details) : null,
+  }))
+}
+
+// ── Migration ─────────────────────────────────────────────────────
+
+// Import the old JSON state once, then keep the file aside for reference
+function migrateLegacy() {
+  let legacy
+  try {
+    legacy = JSON.parse(fs.readFileSync(LEGACY_PATH, 'utf-8'))
+  } catch (err) {
+    logger.error(`State: could not parse state.json for migration (${err.message}) — leaving it in place`)
+    return
+  }
+
+  const at = legacy.lastRunAt ?? now()
+  conn().transaction(() => {
+    for (const id of legacy.repliedTo ?? [])    engage('reply', id, at)
+    for (const id of legacy.quotedTweets ?? []) engage('quote', id, at)
+    for (const id of legacy.postedTweets ?? []) engage('post', id, at)
+    for (const t of legacy.threads ?? []) markThread({ ...t, complete: t.complete ?? true })
+    for (const w of legacy.writes ?? []) conn().prepare('INSERT INTO writes (kind, at) VALUES (?, ?)').run(w.kind, w.at)
+    for (const p of legacy.posts ?? []) {
+      conn().prepare('INSERT INTO posts (id, type, text, topic, tone, at) VALUES (?, ?, ?, ?, ?, ?)')
+        .run(p.id ?? null, p.type, p.text, p.topic ?? null, p.tone ?? null, p.at)
+    }
+    conn().prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run('migratedAt', now())
+  })()
+
+  fs.renameSync(LEGACY_PATH, `${LEGACY_PATH}.migrated`)
+  logger.info(`State: migrated state.json into ${path.basename(DB_PATH)} (${legacy.repliedTo?.length ?? 0} replies, ${legacy.quotedTweets?.length ?? 0} quotes, ${legacy.postedTweets?.length ?? 0} posts)`)
+}
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+function isEngaged(kind, tweetId) {
+  return !!conn().prepare('SELECT 1 FROM engaged WHERE kind = ? AND tweet_id = ?').get(kind, tweetId)
+}
+
+function engage(kind, tweetId, at = now()) {
+  conn().prepare('INSERT OR IGNORE INTO engaged (kind, tweet_id, at) VALUES (?, ?, ?)').run(kind, String(tweetId), at)
+}
+
+function handleKey(screenName) {
+  return screenName.replace(/^@/, '').toLowerCase()
+}
+
+function placeholders(list) {
+  return list.map(() => '?').join(', ')
+}
+
+function now() {
+  return new Date().toISOString()
+}
+
+function iso(ms) {
+  return new Date(ms).toISOString()
 }
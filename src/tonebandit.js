@@ -0,0 +1,135 @@
+/**
+ * Adaptive tone selection — picks the starting tone for a draft with
+ * Thompson sampling over what past posts earned.
+ *
+ * Every (topic, action type, tone) is an arm with a Beta(wins, misses)
+ * belief, built fresh from data/echomind.db on every pick:
+ *
+ *   win   — a post in that tone whose engagement rate at `checkpoint` beat
+ *           the median of the topic's posts of that type
+ *   miss  — a post that didn't, or a draft in that tone that was skipped or
+ *           had its tone changed in review (each counts `negativeWeight`)
+ *
+ * Sampling from each arm's Beta and taking the highest keeps trying tones
+ * with little data while mostly using the ones that work.
+ */
+import { getTone, listTones } from './tones.js'
+import { measuredPosts } from './engagement.js'
+import { queryHistory } from './state.js'
+
+const DAY = 24 * 60 * 60 * 1000
+
+const DEFAULTS = {
+  enabled: false,
+  checkpoint: '24h',
+  lookbackDays: 60,
+  negativeWeight: 0.5,
+}
+
+/**
+ * Pick a starting tone for a new draft.
+ * @param {string} topic
+ * @param {string} type    - tweet | thread | reply | quote
+ * @param {object} [rules] - settings.adaptiveTone
+ * @param {string[]} [allowed] - topic.allowedTones; only these are tried
+ * @returns {{ tone: string, reason: string }}
+ */
+export function pickTone(topic, type, rules = {}, allowed = null) {
+  const opts = { ...DEFAULTS, ...rules }
+  const arms = toneStats(topic, type, opts, allowed)
+
+  for (const arm of arms) arm.sample = sampleBeta(1 + arm.wins, 1 + arm.misses)
+  const [pick] = [...arms].sort((a, b) => b.sample - a.sample)
+  const [best] = [...arms].sort((a, b) => mean(b) - mean(a))
+
+  return { tone: pick.tone, reason: explain(pick, best, type) }
+}
+
+/**
+ * Wins and misses per tone for one topic and action type.
+ * @returns {{ tone: string, wins: number, misses: number, posts: number, rejected: number }[]}
+ */
+export function toneStats(topic, type, rules = {}, allowed = null) {
+  const opts    = { ...DEFAULTS, ...rules }
+  const sinceMs = Date.now() - opts.lookbackDays * DAY
+  const arms    = new Map(listTones(allowed).map(t => [t.value, { tone: t.value, wins: 0, misses: 0, posts: 0, rejected: 0 }]))
+
+  // Engagement: beat the median rate of this topic's posts of this type?
+  // Posts without views have no rate to compare, and matching the median isn't a win.
+  const posts = measuredPosts({ checkpoint: opts.checkpoint, sinceMs })
+    .filter(p => p.topic === topic && p.type === type && p.views > 0)
+  const median = medianOf(posts.map(rate))
+  for (const p of posts) {
+    const arm = arms.get(p.tone)
+    if (!arm) continue
+    arm.posts++
+    if (rate(p) > median) arm.wins++
+    else arm.misses++
+  }
+
+  // Review decisions: a skipped draft or a changed tone is a miss for that tone.
+  // Rows flagged details.dryRun are reviews of dry-run drafts, which never posted.
+  const decisions = queryHistory({ type: 'decision', topic, sinceMs, limit: 10_000 })
+    .filter(d => d.details?.type === type && ['skip', 'tone'].includes(d.details?.decision) && !d.details?.dryRun)
+  for (const d of decisions) {
+    const arm = arms.get(d.tone)
+    if (!arm) continue
+    arm.rejected++
+    arm.misses += opts.negativeWeight
+  }
+
+  return [...arms.values()]
+}
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+function explain(pick, best, type) {
+  const label  = getTone(pick.tone)?.label ?? pick.tone
+  const plural = type === 'reply' ? 'replies' : `${type}s`
+  if (!pick.posts && !pick.rejected) return `${label} — no history for ${plural} yet, exploring`
+
+  const record = `${pick.wins}/${pick.posts} ${plural} above median` + (pick.rejected ? `, ${pick.rejected}× skipped or re-toned` : '')
+  const why = pick === best ? 'best so far' : `exploring — best so far is ${getTone(best.tone)?.label ?? best.tone}`
+  return `${label} — ${record} (${why})`
+}
+
+function rate(p) {
+  return p.views ? (p.likes + p.retweets + p.replies) / p.views : 0
+}
+
+function mean(arm) {
+  return (1 + arm.wins) / (2 + arm.wins + arm.misses)
+}
+
+function medianOf(values) {
+  if (!values.length) return 0
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+// Beta(a, b) from two Gamma draws
+function sampleBeta(a, b) {
+  const x = sampleGamma(a)
+  const y = sampleGamma(b)
+  return x / (x + y)
+}
+
+// Marsaglia–Tsang; shapes below 1 are boosted and scaled back
+function sampleGamma(shape) {
+  if (shape < 1) return sampleGamma(shape + 1) * Math.random() ** (1 / shape)
+  const d = shape - 1 / 3
+  const c = 1 / Math.sqrt(9 * d)
+  while (true) {
+    let x, v
+    do { x = gaussian(); v = 1 + c * x } while (v <= 0)
+    v = v ** 3
+    const u = Math.random()
+    if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v
+  }
+}
+
+function gaussian() {
+  const u = 1 - Math.random()
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * Math.random())
+}
@@ -2,6 +2,11 @@
  * Available tones for content generation.
  * Each tone has a display label, an emoji, and an AI prompt instruction
  * that gets injected into the generator prompts.
+ *
+ * The eight below are built in. config/tones.json can add more (or replace
+ * a built-in one with the same value), each optionally with example tweets
+ * that are shown to the model. Topics can narrow the list with
+ * `allowedTones` and start from a `defaultTone`.
  */
 export const TONES = [
   {
@@ -59,8 +64,74 @@ export function getTone(value) {
   return TONES.find(t => t.value === value) ?? null
 }
 
+/**
+ * The tones a topic may use — all of them unless it sets allowedTones.
+ * @param {string[]} [allowed] - topic.allowedTones
+ */
+export function listTones(allowed) {
+  return allowed?.length ? TONES.filter(t => allowed.includes(t.value)) : TONES
+}
+
 /** Build the tone instruction string for prompt injection. Returns empty string if tone is null/unknown. */
 export function toneInstruction(value) {
   const tone = getTone(value)
-  return tone ? `\nTone: ${tone.instruction}` : ''
+  if (!tone) return ''
+  const examples = tone.examples?.length
+    ? `\nExamples of this tone (match the voice, not the content):\n${tone.examples.map(e => `- ${e}`).join('\n')}`
+    : ''
+  return `\nTone: ${tone.instruction}${examples}`
+}
+
+/**
+ * Register the custom tones from config/tones.json.
+ * A custom tone with the value of a built-in one replaces it.
+ * Throws with every problem found, so a typo fails at startup.
+ * @param {object[]} custom - [{ value, icon?, label, instruction, examples? }]
+ */
+export function loadCustomTones(custom = []) {
+  const problems = []
+  const seen = new Set()
+
+  for (const [i, t] of custom.entries()) {
+    const where = `tones.json #${i + 1}${t?.value ? ` ("${t.value}")` : ''}`
+    if (!t || typeof t !== 'object') { problems.push(`${where}: not an object`); continue }
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(t.value ?? '')) problems.push(`${where}: value must be lowercase letters, digits and dashes`)
+    else if (seen.has(t.value)) problems.push(`${where}: value is used twice`)
+    if (!t.label?.trim()) problems.push(`${where}: label is required`)
+    if (!t.instruction?.trim()) problems.push(`${where}: instruction is required`)
+    if (t.examples !== undefined && !(Array.isArray(t.examples) && t.examples.every(e => typeof e === 'string'))) {
+      problems.push(`${where}: examples must be a list of strings`)
+    }
+    seen.add(t.value)
+  }
+  if (problems.length) throw new Error(`Invalid custom tones:\n  ${problems.join('\n  ')}`)
+
+  for (const t of custom) {
+    const tone = { value: t.value, icon: t.icon ?? '🎭', label: t.label, instruction: t.instruction, examples: t.examples ?? [] }
+    const existing = TONES.findIndex(b => b.value === t.value)
+    if (existing === -1) TONES.push(tone)
+    else TONES[existing] = tone
+  }
+}
+
+/**
+ * Check each topic's allowedTones / defaultTone against the known tones.
+ * Throws with every problem found.
+ * @param {object[]} topics
+ */
+export function validateTopicTones(topics) {
+  const problems = []
+  for (const topic of topics) {
+    const where = `topic "${topic.name}"`
+    const allowed = topic.allowedTones
+    if (allowed !== undefined && !Array.isArray(allowed)) problems.push(`${where}: allowedTones must be a list`)
+    for (const value of Array.isArray(allowed) ? allowed : []) {
+      if (!getTone(value)) problems.push(`${where}: unknown tone "${value}" in allowedTones`)
+    }
+    if (topic.defaultTone != null) {
+      if (!getTone(topic.defaultTone)) problems.push(`${where}: unknown defaultTone "${topic.defaultTone}"`)
+      else if (allowed?.length && !allowed.includes(topic.defaultTone)) problems.push(`${where}: defaultTone "${topic.defaultTone}" is not in allowedTones`)
+    }
+  }
+  if (problems.length) throw new Error(`Invalid tone settings in topics.json:\n  ${problems.join('\n  ')}`)
 }
@@ -8,6 +8,21 @@
  * POSTING — direct GraphQL API calls with web bearer + browser session
  *           cookies (auth_token + ct0).  Run "npm run setup" first.
  *
+ * MEDIA   — chunked INIT / APPEND / FINALIZE upload to upload.x.com with
+ *           the same session, then the media ID is attached to CreateTweet.
+ *
+ * GUARDRAILS — every write (post, reply, quote, like, retweet, follow,
+ *           bookmark) passes guardrails.js
+ *           first: daily/hourly caps, quiet hours, minimum gap, jitter.
+ *
+ * CACHE   — user IDs are kept in SQLite, search and timeline results for a
+ *           few minutes in memory (cache.js, settings.cache).
+ *
+ * RATE LIMITS — every response's x-rate-limit-* headers are tracked per
+ *           endpoint. 429s are waited out, transient failures retried with
+ *           jittered exponential backoff, and reads stop short of draining
+ *           an endpoint's window (settings.http).
+ *
  * If write endpoints start returning 404, the GraphQL query IDs (QID)
  * may have rotated.  Update them from X's JS bundle:
  *   https://abs.twimg.com/responsive-web/client-web/main.*.js
@@ -15,26 +30,40 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { mediaInfo, MAX_ALT_TEXT } from './media.js'
+import { beforeWrite, afterWrite } from './guardrails.js'
+import { tweetLanguage } from './language.js'
+import { cachedUserId, rememberUserId, cachedFetch, searchKey } from './cache.js'
 import logger from './logger.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 const COOKIES_PATH = path.join(__dirname, '../data/cookies.json')
+const UPLOAD_URL = 'https://upload.x.com/i/media/upload.json'
+const UPLOAD_CHUNK = 1024 * 1024 // bytes per APPEND segment
+const FOLLOW_URL = 'https://x.com/i/api/1.1/friendships/create.json'
 
 // Web bearer — paired with browser session cookies, used for posting/timeline
 const WEB_BEARER =
   'AAAAAAAAAAAAAAAAAAAAANRILgAAAAAAnNwIzUejRCOuH5E6I8xnZz4puTs%3D1Zv7ttfk8LF81IUq16cHjhLTvJu4FA33AGWWjCpTnA'
 
+// adaptive.json returns at most this many tweets per page
+const SEARCH_PAGE_SIZE = 100
+
 // X GraphQL query IDs — rotate every few weeks, update if write endpoints return 404
 const QID = {
   UserByScreenName: 'DYkHHnsQHOuIl0gUzU5Fjg',
   UserTweets: 'rO1eqEVXEJOZkbKmVFg5IQ',
   HomeTimeline: 'MpnCeE0hy8m5eWobPx8euw',
+  TweetResultByRestId: 'DJS3BdhUhcaEpZ7B7irJDg',
+  TweetDetail: 'nBS-WpgA6ZG0CyNHD517JQ',
   CreateTweet: 'Ke9I4_p5rCzwhTzK1fV2_w',
   FavoriteTweet: 'lI07N6Otwv1PhnEgXILM7A',
   CreateRetweet: 'mbRO74GrOvSfRcJnlMapnQ',
+  DeleteRetweet: 'iQtK4dl5hBmXewYZuEOKVw',
+  CreateBookmark: 'aoDbu3RHznuiSkQ9aNM67Q',
 }
 
-// Feature flags required by the UserTweets / HomeTimeline endpoints
+// Feature flags required by the UserTweets / HomeTimeline / TweetDetail endpoints
 const TIMELINE_FEATURES = {
   rweb_lists_timeline_redesign_enabled: true,
   responsive_web_graphql_exclude_directive_enabled: true,
@@ -87,6 +116,18 @@ const TWEET_FEATURES = {
 let authToken = null
 let ct0 = null
 
+// ── Rate limits & retries ─────────────────────────────────────────────────────
+const HTTP_DEFAULTS = {
+  maxRetries: 3,             // retries for 5xx / network errors (reads only)
+  retryBaseMs: 1000,         // first backoff delay, doubled per attempt, ± jitter
+  maxRateLimitWaitMs: 15 * 60 * 1000, // wait out a 429 / empty budget up to this long, else fail
+  rateLimitReserve: 2,       // reads stop when an endpoint has this many calls left in its window
+}
+let httpOpts = HTTP_DEFAULTS
+
+// endpoint → { limit, remaining, reset (epoch ms), calls, retries, waits, inFlight }
+const rateLimits = new Map()
+
 function buildHeaders() {
   return {
     authorization: `Bearer ${WEB_BEARER}`,
@@ -105,18 +146,174 @@ function buildHeaders() {
   }
 }
 
+/**
+ * Fetch an X endpoint with rate-limit tracking and retries.
+ *
+ * - Before a read, if the endpoint's window (minus requests in flight) is down to rateLimitReserve
+ *   calls, wait for the reset (or fail if it's further than maxRateLimitWaitMs).
+ * - 429: wait until x-rate-limit-reset and try again (reads and writes —
+ *   X didn't process the request).
+ * - 5xx / network error: retry reads with jittered exponential backoff.
+ *   Writes are not retried, so a tweet can't be posted twice.
+ *
+ * Errors carry `status` and `endpoint`; budget / 429 failures set `rateLimited`.
+ */
 async function xFetch(url, options = {}) {
-  const res = await fetch(url, { headers: buildHeaders(), ...options })
-  if (!res.ok) {
-    const body = await res.text().catch(() => '')
-    throw new Error(`X API ${res.status} ${res.statusText}: ${body.slice(0, 300)}`)
+  const endpoint = endpointName(url)
+  const isRead = (options.method ?? 'GET') === 'GET'
+  const stats = rateLimitEntry(endpoint)
+
+  await waitForBudget(endpoint, isRead)
+  try {
+    return await send(url, options, endpoint, isRead, stats)
+  } finally {
+    stats.inFlight--
+  }
+}
+
+// xFetch's request / retry loop, once the budget is reserved
+async function send(url, options, endpoint, isRead, stats) {
+  for (let attempt = 0; ; attempt++) {
+    let res
+    try {
+      stats.calls++
+      res = await fetch(url, { headers: buildHeaders(), ...options })
+    } catch (err) {
+      if (isRead && attempt < httpOpts.maxRetries) {
+        await backoff(endpoint, attempt, `network error: ${err.message}`)
+        continue
+      }
+      throw xError(`X API ${endpoint} network error: ${err.message}`, { endpoint })
+    }
+
+    trackRateLimit(endpoint, res.headers)
+
+    if (res.status === 429) {
+      const wait = resetWait(endpoint)
+      if (attempt < httpOpts.maxRetries && wait <= httpOpts.maxRateLimitWaitMs) {
+        logger.warn(`Twitter: 429 on ${endpoint} — waiting ${formatMs(wait)} for the rate limit to reset`)
+        stats.waits++
+        await sleep(wait)
+        continue
+      }
+      throw xError(`X API ${endpoint} rate limited (resets in ${formatMs(wait)})`, { endpoint, status: 429, rateLimited: true })
+    }
+
+    if (res.status >= 500 && isRead && attempt < httpOpts.maxRetries) {
+      await backoff(endpoint, attempt, `HTTP ${res.status}`)
+      continue
+    }
+
+    if (!res.ok) {
+      const body = await res.text().catch(() => '')
+      throw xError(`X API ${res.status} ${res.statusText}: ${body.slice(0, 300)}`, { endpoint, status: res.status })
+    }
+
+    // Some endpoints (media APPEND) answer 204 / an empty body
+    const body = await res.text()
+    return body ? JSON.parse(body) : null
   }
-  return res.json()
+}
+
+// GraphQL operation name (UserTweets, CreateTweet…) or the REST path's last segment
+function endpointName(url) {
+  const { hostname, pathname } = new URL(url)
+  const gql = pathname.match(/\/graphql\/[^/]+\/([^/?]+)/)
+  if (gql) return gql[1]
+  if (hostname.startsWith('upload.')) return 'MediaUpload'
+  return pathname.split('/').filter(Boolean).slice(-2).join('/').replace(/\.json$/, '')
+}
+
+function rateLimitEntry(endpoint) {
+  if (!rateLimits.has(endpoint)) {
+    rateLimits.set(endpoint, { limit: null, remaining: null, reset: null, calls: 0, retries: 0, waits: 0, inFlight: 0 })
+  }
+  return rateLimits.get(endpoint)
+}
+
+function trackRateLimit(endpoint, headers) {
+  const remaining = headers.get('x-rate-limit-remaining')
+  if (remaining === null) return
+  const stats = rateLimitEntry(endpoint)
+  stats.remaining = parseInt(remaining, 10)
+  stats.limit = parseInt(headers.get('x-rate-limit-limit') ?? '0', 10) || stats.limit
+  stats.reset = parseInt(headers.get('x-rate-limit-reset') ?? '0', 10) * 1000 || stats.reset
+  logger.debug(`Twitter: ${endpoint} rate limit ${stats.remaining}/${stats.limit}`)
+}
+
+// Reads keep rateLimitReserve calls back; writes may use the window to the last call.
+// A request that passes reserves a call (inFlight) until xFetch is done with it,
+// so concurrent fetches can't all pass the check on the same last few calls.
+async function waitForBudget(endpoint, isRead) {
+  const stats = rateLimitEntry(endpoint)
+  if (hasBudget(stats, isRead)) {
+    stats.inFlight++
+    return
+  }
+
+  const wait = resetWait(endpoint)
+  if (wait > httpOpts.maxRateLimitWaitMs) {
+    throw xError(
+      `X API ${endpoint} budget exhausted (${stats.remaining}/${stats.limit} left, resets in ${formatMs(wait)})`,
+      { endpoint, status: 429, rateLimited: true },
+    )
+  }
+  logger.warn(`Twitter: ${endpoint} budget down to ${stats.remaining}/${stats.limit} — waiting ${formatMs(wait)} for reset`)
+  stats.waits++
+  await sleep(wait)
+  return waitForBudget(endpoint, isRead)
+}
+
+// Unknown or expired windows count as having budget
+function hasBudget(stats, isRead) {
+  if (stats.remaining == null || !stats.reset || stats.reset <= Date.now()) return true
+  const floor = isRead ? httpOpts.rateLimitReserve : 0
+  return stats.remaining - stats.inFlight > floor
+}
+
+function resetWait(endpoint) {
+  const reset = rateLimits.get(endpoint)?.reset
+  // No reset header — fall back to X's standard 15-minute window
+  return reset ? Math.max(reset - Date.now(), 0) + 1000 : 15 * 60 * 1000
+}
+
+async function backoff(endpoint, attempt, reason) {
+  const base = httpOpts.retryBaseMs * 2 ** attempt
+  const delay = Math.round(base / 2 + Math.random() * base) // 50–150% of base
+  rateLimitEntry(endpoint).retries++
+  logger.warn(`Twitter: ${endpoint} ${reason} — retry ${attempt + 1}/${httpOpts.maxRetries} in ${formatMs(delay)}`)
+  await sleep(delay)
+}
+
+function xError(message, props) {
+  return Object.assign(new Error(message), props)
+}
+
+function formatMs(ms) {
+  if (ms < 1000) return `${ms}ms`
+  if (ms < 60_000) return `${Math.round(ms / 1000)}s`
+  return `${Math.round(ms / 60_000)}m`
+}
+
+// Multipart / form bodies — let fetch set the content-type with its boundary
+function uploadHeaders() {
+  const { 'content-type': _, ...headers } = buildHeaders()
+  return headers
+}
+
+function mediaEntities(mediaIds) {
+  return mediaIds.map(id => ({ media_id: id, tagged_users: [] }))
 }
 
 // ─── Public API ───────────────────────────────────────────────────────────────
 
-export async function initTwitter() {
+/**
+ * Load session cookies and apply settings.httpOpts.
+ * @param {object} [settings] - Bot settings
+ */
+export async function initTwitter(settings = {}) {
+  httpOpts = { ...HTTP_DEFAULTS, ...settings.http }
+
   if (!fs.existsSync(COOKIES_PATH)) {
     throw new Error('No cookies found. Run: npm run setup')
   }
@@ -136,40 +333,73 @@ export async function initTwitter() {
 
 /**
  * Search for tweets by keyword, hashtag, or cashtag (e.g. $BTC, #AI, "OpenAI").
- * Uses the authenticated adaptive.json REST endpoint via our web session.
+ * Uses the authenticated adaptive.json REST endpoint via our web session,
+ * following the bottom cursor page by page until `count` tweets are in.
+ * Compose operators (min_faves:, lang: …) with buildSearchQuery in search.js.
+ * Results are cached for settings.cache.searchTtlMinutes.
+ *
+ * Throws (with the xFetch error's status / endpoint) when not even the first
+ * page came back; a later page failing keeps what was already fetched.
  * @param {string} query
  * @param {number} count
+ * @param {object} [opts]
+ * @param {'top'|'latest'} [opts.mode] - X's Top or Latest tab
+ * @param {number} [opts.maxPages]     - Stop after this many pages even if short of count
  * @returns {Promise<object[]>}
  */
-export async function searchTweets(query, count = 20) {
-  try {
-    const params = new URLSearchParams({
-      q: query,
-      count: String(Math.min(count, 100)),
-      tweet_mode: 'extended',
-      query_source: 'typed_query',
-      include_quote_count: 'true',
-      include_reply_count: '1',
-      include_ext_views: 'true',
-      include_entities: 'true',
-    })
+export async function searchTweets(query, count = 20, { mode = 'top', maxPages = 5 } = {}) {
+  return cachedFetch('search', `${mode}:${count}:${maxPages}:${searchKey(query)}`, () => fetchSearch(query, count, mode, maxPages))
+}
 
-    const data = await xFetch(`https://x.com/i/api/2/search/adaptive.json?${params}`)
-    const tweets = parseAdaptiveSearch(data, count)
-    logger.info(`Twitter: search "${query}" → ${tweets.length} tweets`)
-    return tweets
+async function fetchSearch(query, count, mode, maxPages) {
+  const found = new Map()
+  let cursor = null
+  let pages = 0
+
+  try {
+    while (found.size < count && pages < maxPages) {
+      const params = new URLSearchParams({
+        q: query,
+        count: String(Math.min(count - found.size, SEARCH_PAGE_SIZE)),
+        tweet_mode: 'extended',
+        query_source: 'typed_query',
+        include_quote_count: 'true',
+        include_reply_count: '1',
+        include_ext_views: 'true',
+        include_entities: 'true',
+      })
+      if (mode === 'latest') params.set('tweet_search_mode', 'live')
+      if (cursor) params.set('cursor', cursor)
+
+      const data = await xFetch(`https://x.com/i/api/2/search/adaptive.json?${params}`)
+      pages++
+      const before = found.size
+      for (const t of parseAdaptiveSearch(data)) if (!found.has(t.id)) found.set(t.id, t)
+
+      // No cursor or nothing new — the results have run out
+      cursor = searchCursor(data)
+      if (!cursor || found.size === before) break
+    }
   } catch (err) {
-    logger.error(`Twitter: search "${query}" failed: ${err?.message || String(err)}`)
-    return []
+    if (!found.size) throw err
+    logger.warn(`Twitter: search "${query}" stopped after ${pages} page(s): ${err?.message || String(err)}`)
   }
+
+  const tweets = [...found.values()].slice(0, count)
+  logger.info(`Twitter: search "${query}" (${mode}) → ${tweets.length} tweets from ${pages} page(s)`)
+  return tweets
 }
 
 /**
- * Resolve a screen name to a numeric user ID.
+ * Resolve a screen name to a numeric user ID. Resolved IDs are cached
+ * (settings.cache.userIdTtlDays).
  * @param {string} screenName
- * @returns {Promise<string|null>}
+ * @returns {Promise<string|null>} null when there's no such account; throws when X fails
  */
 export async function getUserId(screenName) {
+  const known = cachedUserId(screenName)
+  if (known) return known
+
   const variables = { screen_name: screenName, withSafetyModeUserFields: true }
   const features = {
     hidden_profile_likes_enabled: false,
@@ -190,90 +420,242 @@ export async function getUserId(screenName) {
     `?variables=${encodeURIComponent(JSON.stringify(variables))}` +
     `&features=${encodeURIComponent(JSON.stringify(features))}`
 
-  try {
-    const data = await xFetch(url)
-    return data?.data?.user?.result?.rest_id ?? null
-  } catch (err) {
-    logger.error(`Twitter: getUserId @${screenName} failed: ${err?.message || String(err)}`)
-    return null
-  }
+  const data = await xFetch(url)
+  const userId = data?.data?.user?.result?.rest_id ?? null
+  rememberUserId(screenName, userId)
+  return userId
 }
 
 /**
- * Fetch recent tweets from a specific account's timeline.
+ * Fetch recent tweets from a specific account's timeline. Results are
+ * cached for settings.cache.timelineTtlMinutes.
+ * Throws when the account doesn't exist or X fails.
  * @param {string} username  - X screen name without @
  * @param {number} count
  * @returns {Promise<object[]>}
  */
 export async function getAccountTweets(username, count = 20) {
-  try {
-    const userId = await getUserId(username)
-    if (!userId) {
-      logger.warn(`Twitter: could not resolve user ID for @${username}`)
-      return []
-    }
+  return cachedFetch('timeline', `@${username.toLowerCase()}:${count}`, () => fetchAccountTweets(username, count))
+}
 
-    const variables = {
-      userId,
-      count,
-      includePromotedContent: true,
-      withQuickPromoteEligibilityTweetFields: true,
-      withVoice: true,
-      withV2Timeline: true,
-    }
+async function fetchAccountTweets(username, count) {
+  const userId = await getUserId(username)
+  if (!userId) throw xError(`X user @${username} not found`, { endpoint: 'UserByScreenName', status: 404 })
+
+  const variables = {
+    userId,
+    count,
+    includePromotedContent: true,
+    withQuickPromoteEligibilityTweetFields: true,
+    withVoice: true,
+    withV2Timeline: true,
+  }
+
+  const url =
+    `https://x.com/i/api/graphql/${QID.UserTweets}/UserTweets` +
+    `?variables=${encodeURIComponent(JSON.stringify(variables))}` +
+    `&features=${encodeURIComponent(JSON.stringify(TIMELINE_FEATURES))}`
 
-    const url =
-      `https://x.com/i/api/graphql/${QID.UserTweets}/UserTweets` +
-      `?variables=${encodeURIComponent(JSON.stringify(variables))}` +
-      `&features=${encodeURIComponent(JSON.stringify(TIMELINE_FEATURES))}`
+  const data = await xFetch(url)
+  const instructions =
+    data?.data?.user?.result?.timeline_v2?.timeline?.instructions ?? []
+  const tweets = extractTweets(instructions, username)
 
-    const data = await xFetch(url)
-    const instructions =
-      data?.data?.user?.result?.timeline_v2?.timeline?.instructions ?? []
-    const tweets = extractTweets(instructions, username)
+  logger.info(`Twitter: fetched ${tweets.length} tweets from @${username}`)
+  return tweets
+}
 
-    logger.info(`Twitter: fetched ${tweets.length} tweets from @${username}`)
-    return tweets
-  } catch (err) {
-    logger.error(`Twitter: getAccountTweets @${username} failed: ${err?.message || String(err)}`)
-    return []
-  }
+/**
+ * Fetch recent mentions of our account (including replies to our tweets),
+ * newest first. Uses the web session's notifications/mentions.json, which
+ * returns the same globalObjects shape as adaptive search — plus the tweets
+ * being replied to, so only the timeline's own entries are kept.
+ * Throws when X fails, so a failed poll isn't mistaken for "no mentions".
+ * @param {number} count
+ * @returns {Promise<object[]>}
+ */
+export async function getMentions(count = 40) {
+  const params = new URLSearchParams({
+    count: String(Math.min(count, 100)),
+    tweet_mode: 'extended',
+    include_reply_count: '1',
+    include_ext_views: 'true',
+    include_entities: 'true',
+  })
+
+  const data = await xFetch(`https://x.com/i/api/2/notifications/mentions.json?${params}`)
+  const entryIds = new Set((data?.timeline?.instructions ?? [])
+    .flatMap(i => i.addEntries?.entries ?? [])
+    .map(e => e.content?.item?.content?.tweet?.id)
+    .filter(Boolean))
+
+  const tweets = parseAdaptiveSearch(data)
+    .filter(t => !entryIds.size || entryIds.has(t.id))
+    .sort((a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0))
+    .slice(0, count)
+  logger.info(`Twitter: fetched ${tweets.length} mentions`)
+  return tweets
 }
 
 /**
- * Get the home timeline (tweets from followed accounts).
+ * Get the home timeline (tweets from followed accounts). Results are
+ * cached for settings.cache.timelineTtlMinutes. Throws when X fails.
  * @param {number} count
  * @returns {Promise<object[]>}
  */
 export async function getTimeline(count = 20) {
-  try {
-    const variables = { count, includePromotedContent: true, latestControlAvailable: true }
+  return cachedFetch('timeline', `home:${count}`, () => fetchTimeline(count))
+}
 
-    const url =
-      `https://x.com/i/api/graphql/${QID.HomeTimeline}/HomeTimeline` +
-      `?variables=${encodeURIComponent(JSON.stringify(variables))}` +
-      `&features=${encodeURIComponent(JSON.stringify(TIMELINE_FEATURES))}`
+async function fetchTimeline(count) {
+  const variables = { count, includePromotedContent: true, latestControlAvailable: true }
+
+  const url =
+    `https://x.com/i/api/graphql/${QID.HomeTimeline}/HomeTimeline` +
+    `?variables=${encodeURIComponent(JSON.stringify(variables))}` +
+    `&features=${encodeURIComponent(JSON.stringify(TIMELINE_FEATURES))}`
 
+  const data = await xFetch(url)
+  const instructions = data?.data?.home?.home_timeline_urt?.instructions ?? []
+  return extractTweets(instructions)
+}
+
+/**
+ * Fetch a single tweet with its current counts.
+ * @param {string} tweetId
+ * @returns {Promise<object|null>} the tweet, or null if it's deleted / unavailable
+ */
+export async function getTweet(tweetId) {
+  const variables = { tweetId, withCommunity: false, includePromotedContent: false, withVoice: false }
+
+  const url =
+    `https://x.com/i/api/graphql/${QID.TweetResultByRestId}/TweetResultByRestId` +
+    `?variables=${encodeURIComponent(JSON.stringify(variables))}` +
+    `&features=${encodeURIComponent(JSON.stringify(TIMELINE_FEATURES))}`
+
+  const data = await xFetch(url)
+  return parseTweetResult(data?.data?.tweetResult?.result)
+}
+
+/**
+ * Fetch the conversation around a tweet: the chain of tweets it replies to
+ * and the most-liked direct replies to it.
+ * @param {string} tweetId
+ * @param {object} [opts]
+ * @param {number} [opts.parents] - Max ancestors to keep, nearest first
+ * @param {number} [opts.replies] - Max direct replies to keep
+ * @returns {Promise<{ parents: object[], replies: object[] }|null>}
+ *          parents oldest first, replies most-liked first — null if the fetch failed
+ */
+export async function getConversation(tweetId, { parents = 4, replies = 5 } = {}) {
+  const variables = {
+    focalTweetId: tweetId,
+    with_rux_injections: false,
+    includePromotedContent: false,
+    withCommunity: true,
+    withQuickPromoteEligibilityTweetFields: false,
+    withBirdwatchNotes: false,
+    withVoice: false,
+    withV2Timeline: true,
+  }
+
+  const url =
+    `https://x.com/i/api/graphql/${QID.TweetDetail}/TweetDetail` +
+    `?variables=${encodeURIComponent(JSON.stringify(variables))}` +
+    `&features=${encodeURIComponent(JSON.stringify(TIMELINE_FEATURES))}`
+
+  try {
     const data = await xFetch(url)
-    const instructions = data?.data?.home?.home_timeline_urt?.instructions ?? []
-    return extractTweets(instructions)
+    const instructions = data?.data?.threaded_conversation_with_injections_v2?.instructions ?? []
+    const byId = new Map(extractTweets(instructions).map(t => [t.id, t]))
+
+    const chain = []
+    for (let id = byId.get(tweetId)?.inReplyToId; id && byId.has(id) && chain.length < parents; id = byId.get(id).inReplyToId) {
+      chain.unshift(byId.get(id))
+    }
+    const top = [...byId.values()]
+      .filter(t => t.inReplyToId === tweetId)
+      .sort((a, b) => b.likes - a.likes)
+      .slice(0, replies)
+
+    logger.info(`Twitter: conversation of ${tweetId} → ${chain.length} parent(s), ${top.length} repl${top.length === 1 ? 'y' : 'ies'}`)
+    return { parents: chain, replies: top }
   } catch (err) {
-    logger.error(`Twitter: getTimeline failed: ${err?.message || String(err)}`)
-    return []
+    logger.warn(`Twitter: conversation of ${tweetId} failed: ${err?.message || String(err)}`)
+    return null
   }
 }
 
+/**
+ * Upload an image or GIF and return its media ID for postTweet & co.
+ * Uses the chunked INIT / APPEND / FINALIZE flow; GIFs are polled with
+ * STATUS until X has finished processing them.
+ * @param {string} filePath
+ * @param {string} [altText] - Accessibility description (max 1000 chars)
+ * @returns {Promise<string>} media_id_string
+ */
+export async function uploadMedia(filePath, altText = '') {
+  const info = mediaInfo(filePath)
+  const data = fs.readFileSync(filePath)
+
+  const init = await xFetch(`${UPLOAD_URL}?${new URLSearchParams({
+    command: 'INIT',
+    total_bytes: String(data.length),
+    media_type: info.mimeType,
+    media_category: info.category,
+  })}`, { method: 'POST', headers: uploadHeaders() })
+
+  const mediaId = init?.media_id_string
+  if (!mediaId) throw new Error(`Media INIT for ${info.name} returned no media ID`)
+
+  for (let offset = 0, segment = 0; offset < data.length; offset += UPLOAD_CHUNK, segment++) {
+    const form = new FormData()
+    form.append('command', 'APPEND')
+    form.append('media_id', mediaId)
+    form.append('segment_index', String(segment))
+    form.append('media', new Blob([data.subarray(offset, offset + UPLOAD_CHUNK)]), info.name)
+    await xFetch(UPLOAD_URL, { method: 'POST', headers: uploadHeaders(), body: form })
+  }
+
+  let status = await xFetch(`${UPLOAD_URL}?${new URLSearchParams({ command: 'FINALIZE', media_id: mediaId })}`, {
+    method: 'POST',
+    headers: uploadHeaders(),
+  })
+
+  while (['pending', 'in_progress'].includes(status?.processing_info?.state)) {
+    await sleep((status.processing_info.check_after_secs ?? 1) * 1000)
+    status = await xFetch(`${UPLOAD_URL}?${new URLSearchParams({ command: 'STATUS', media_id: mediaId })}`, {
+      headers: uploadHeaders(),
+    })
+  }
+  if (status?.processing_info?.state === 'failed') {
+    throw new Error(`X could not process ${info.name}: ${status.processing_info.error?.message ?? 'unknown error'}`)
+  }
+
+  if (altText) {
+    await xFetch('https://x.com/i/api/1.1/media/metadata/create.json', {
+      method: 'POST',
+      body: JSON.stringify({ media_id: mediaId, alt_text: { text: altText.slice(0, MAX_ALT_TEXT) } }),
+    })
+  }
+
+  logger.info(`Twitter: uploaded ${info.name} (${Math.round(info.size / 1024)} KB) → media ${mediaId}`)
+  return mediaId
+}
+
 /**
  * Post a new tweet.
- * @param {string} text
+ * @param {string}   text
+ * @param {string[]} [mediaIds] - From uploadMedia()
  * @returns {Promise<Tweet|null>}
  */
-export async function postTweet(text) {
+export async function postTweet(text, mediaIds = []) {
+  await beforeWrite('tweet')
   const body = {
     variables: {
       tweet_text: text,
       dark_request: false,
-      media: { media_entities: [], possibly_sensitive: false },
+      media: { media_entities: mediaEntities(mediaIds), possibly_sensitive: false },
       semantic_annotation_ids: [],
     },
     features: TWEET_FEATURES,
@@ -285,24 +667,30 @@ export async function postTweet(text) {
     body: JSON.stringify(body),
   })
 
-  logger.info(`Twitter: posted tweet (${text.length} chars)`)
+  afterWrite('tweet')
+  logger.info(`Twitter: posted tweet (${text.length} chars${mediaIds.length ? `, ${mediaIds.length} media` : ''})`)
   const result = data?.data?.create_tweet?.tweet_results?.result
   return result ? parseTweetResult(result) : null
 }
 
 /**
  * Reply to a tweet.
- * @param {string} text
- * @param {string} tweetId
+ * @param {string}   text
+ * @param {string}   tweetId
+ * @param {string[]} [mediaIds] - From uploadMedia()
+ * @param {object}   [opts]
+ * @param {boolean}  [opts.threadPart] - Continuing our own thread — not counted as a reply by the guardrails
  * @returns {Promise<Tweet|null>}
  */
-export async function replyToTweet(text, tweetId) {
+export async function replyToTweet(text, tweetId, mediaIds = [], { threadPart = false } = {}) {
+  const kind = threadPart ? 'threadPart' : 'reply'
+  await beforeWrite(kind)
   const body = {
     variables: {
       tweet_text: text,
       reply: { in_reply_to_tweet_id: tweetId, exclude_reply_user_ids: [] },
       dark_request: false,
-      media: { media_entities: [], possibly_sensitive: false },
+      media: { media_entities: mediaEntities(mediaIds), possibly_sensitive: false },
       semantic_annotation_ids: [],
     },
     features: TWEET_FEATURES,
@@ -314,6 +702,7 @@ export async function replyToTweet(text, tweetId) {
     body: JSON.stringify(body),
   })
 
+  afterWrite(kind)
   logger.info(`Twitter: replied to tweet ${tweetId}`)
   const result = data?.data?.create_tweet?.tweet_results?.result
   return result ? parseTweetResult(result) : null
@@ -321,19 +710,21 @@ export async function replyToTweet(text, tweetId) {
 
 /**
  * Quote-tweet (retweet with comment).
- * @param {string} text
- * @param {string} tweetId
- * @param {string} [authorUsername]
+ * @param {string}   text
+ * @param {string}   tweetId
+ * @param {string}   [authorUsername]
+ * @param {string[]} [mediaIds] - From uploadMedia()
  * @returns {Promise<Tweet|null>}
  */
-export async function quoteTweet(text, tweetId, authorUsername) {
+export async function quoteTweet(text, tweetId, authorUsername, mediaIds = []) {
+  await beforeWrite('quote')
   const attachmentUrl = `https://x.com/${authorUsername ?? 'x'}/status/${tweetId}`
   const body = {
     variables: {
       tweet_text: text,
       attachment_url: attachmentUrl,
       dark_request: false,
-      media: { media_entities: [], possibly_sensitive: false },
+      media: { media_entities: mediaEntities(mediaIds), possibly_sensitive: false },
       semantic_annotation_ids: [],
     },
     features: TWEET_FEATURES,
@@ -345,6 +736,7 @@ export async function quoteTweet(text, tweetId, authorUsername) {
     body: JSON.stringify(body),
   })
 
+  afterWrite('quote')
   logger.info(`Twitter: quote-tweeted ${tweetId}`)
   const result = data?.data?.create_tweet?.tweet_results?.result
   return result ? parseTweetResult(result) : null
@@ -355,6 +747,7 @@ export async function quoteTweet(text, tweetId, authorUsername) {
  * @param {string} tweetId
  */
 export async function likeTweet(tweetId) {
+  await beforeWrite('like')
   const body = {
     variables: { tweet_id: tweetId },
     queryId: QID.FavoriteTweet,
@@ -365,9 +758,120 @@ export async function likeTweet(tweetId) {
     body: JSON.stringify(body),
   })
 
+  afterWrite('like')
   logger.info(`Twitter: liked tweet ${tweetId}`)
 }
 
+/**
+ * Retweet a tweet.
+ * @param {string} tweetId
+ * @returns {Promise<{ id: string }|null>} the retweet's own ID
+ */
+export async function retweet(tweetId) {
+  await beforeWrite('retweet')
+  const body = {
+    variables: { tweet_id: tweetId, dark_request: false },
+    queryId: QID.CreateRetweet,
+  }
+
+  const data = await xFetch(`https://x.com/i/api/graphql/${QID.CreateRetweet}/CreateRetweet`, {
+    method: 'POST',
+    body: JSON.stringify(body),
+  })
+
+  afterWrite('retweet')
+  logger.info(`Twitter: retweeted ${tweetId}`)
+  const id = data?.data?.create_retweet?.retweet_results?.result?.rest_id
+  return id ? { id } : null
+}
+
+/**
+ * Undo a retweet.
+ * @param {string} tweetId - The original tweet, not the retweet
+ */
+export async function unretweet(tweetId) {
+  await beforeWrite('unretweet')
+  const body = {
+    variables: { source_tweet_id: tweetId, dark_request: false },
+    queryId: QID.DeleteRetweet,
+  }
+
+  await xFetch(`https://x.com/i/api/graphql/${QID.DeleteRetweet}/DeleteRetweet`, {
+    method: 'POST',
+    body: JSON.stringify(body),
+  })
+
+  afterWrite('unretweet')
+  logger.info(`Twitter: unretweeted ${tweetId}`)
+}
+
+/**
+ * Follow an account. Uses the REST friendships endpoint the web app still
+ * calls; without a userId the screen name is resolved first (cached).
+ * @param {string} username - X screen name without @
+ * @param {string} [userId]
+ * @returns {Promise<{ userId: string }>}
+ */
+export async function followUser(username, userId = null) {
+  userId ??= await getUserId(username)
+  if (!userId) throw xError(`X user @${username} not found`, { endpoint: 'UserByScreenName', status: 404 })
+
+  await beforeWrite('follow')
+  await xFetch(FOLLOW_URL, {
+    method: 'POST',
+    headers: uploadHeaders(),
+    body: new URLSearchParams({ user_id: userId, include_profile_interstitial_type: '1', skip_status: '1' }),
+  })
+
+  afterWrite('follow')
+  logger.info(`Twitter: followed @${username}`)
+  return { userId }
+}
+
+/**
+ * Bookmark a tweet. Bookmarks are private — nobody is notified.
+ * @param {string} tweetId
+ */
+export async function bookmarkTweet(tweetId) {
+  await beforeWrite('bookmark')
+  const body = {
+    variables: { tweet_id: tweetId },
+    queryId: QID.CreateBookmark,
+  }
+
+  await xFetch(`https://x.com/i/api/graphql/${QID.CreateBookmark}/CreateBookmark`, {
+    method: 'POST',
+    body: JSON.stringify(body),
+  })
+
+  afterWrite('bookmark')
+  logger.info(`Twitter: bookmarked ${tweetId}`)
+}
+
+/**
+ * Rate-limit status of every endpoint used so far.
+ * @returns {{ endpoint: string, limit: number|null, remaining: number|null, reset: Date|null, calls: number, retries: number, waits: number }[]}
+ */
+export function getRateLimitStatus() {
+  return [...rateLimits.entries()].map(([endpoint, s]) => ({
+    endpoint,
+    ...s,
+    reset: s.reset ? new Date(s.reset) : null,
+  }))
+}
+
+/** One-line summary for the logs, e.g. "UserTweets 38/50 (resets 9m) · CreateTweet 299/300". */
+export function rateLimitSummary() {
+  return getRateLimitStatus()
+    .map(s => {
+      const budget = s.remaining != null ? `${s.remaining}/${s.limit}` : `${s.calls} calls`
+      const reset  = s.reset && s.reset > Date.now() ? ` (resets ${formatMs(s.reset - Date.now())})` : ''
+      const extra  = [s.retries && `${s.retries} retries`, s.waits && `${s.waits} waits`].filter(Boolean).join(', ')
+      return `${s.endpoint} ${budget}${reset}${extra ? ` [${extra}]` : ''}`
+    })
+    .join(' · ')
+}
+
 // ─── Parsing helpers ──────────────────────────────────────────────────────────
 
 /**
@@ -375,7 +879,7 @@ export async function likeTweet(tweetId) {
  * globalObjects.tweets = flat map of id → tweet
  * globalObjects.users  = flat map of id → user
  */
-function parseAdaptiveSearch(data, limit) {
+function parseAdaptiveSearch(data) {
   const tweetMap = data?.globalObjects?.tweets ?? {}
   const userMap = data?.globalObjects?.users ?? {}
 
@@ -386,7 +890,9 @@ function parseAdaptiveSearch(data, limit) {
         id: t.id_str ?? id,
         text: t.full_text ?? t.text ?? '',
         author: user.screen_name ?? 'unknown',
+        authorId: t.user_id_str ?? null,
         authorName: user.name ?? '',
+        authorFollowers: user.followers_count ?? null,
         likes: t.favorite_count ?? 0,
         retweets: t.retweet_count ?? 0,
         replies: t.reply_count ?? 0,
@@ -394,13 +900,27 @@ function parseAdaptiveSearch(data, limit) {
         createdAt: t.created_at ? new Date(t.created_at) : null,
         url: `https://x.com/${user.screen_name}/status/${t.id_str ?? id}`,
         isReply: !!t.in_reply_to_status_id_str,
+        inReplyToId: t.in_reply_to_status_id_str ?? null,
         isRetweet: !!t.retweeted_status_id_str,
         hashtags: t.entities?.hashtags?.map(h => h.text) ?? [],
         mentions: t.entities?.user_mentions?.map(m => m.screen_name) ?? [],
+        lang: tweetLanguage(t.lang, t.full_text ?? t.text ?? ''),
       }
     })
     .filter(t => !t.isRetweet)
-    .slice(0, limit)
+}
+
+// The "bottom" cursor of an adaptive.json page: an entry on the first page,
+// a replaceEntry instruction on the following ones
+function searchCursor(data) {
+  for (const instruction of data?.timeline?.instructions ?? []) {
+    const entries = instruction.addEntries?.entries ?? (instruction.replaceEntry ? [instruction.replaceEntry.entry] : [])
+    for (const entry of entries) {
+      const cursor = entry?.content?.operation?.cursor
+      if (cursor?.cursorType === 'Bottom' || entry?.entryId?.startsWith('sq-cursor-bottom')) return cursor?.value ?? null
+    }
+  }
+  return null
 }
 
 function extractTweets(instructions, fallbackUsername) {
@@ -443,7 +963,9 @@ function parseTweetResult(result, fallbackUsername) {
     id: tweetData.rest_id,
     text: legacy.full_text,
     author,
+    authorId: tweetData.core?.user_results?.result?.rest_id ?? legacy.user_id_str ?? null,
     authorName: userLegacy.name ?? '',
+    authorFollowers: userLegacy.followers_count ?? null,
     likes: legacy.favorite_count ?? 0,
     retweets: legacy.retweet_count ?? 0,
     replies: legacy.reply_count ?? 0,
@@ -451,8 +973,12 @@ function parseTweetResult(result, fallbackUsername) {
     createdAt: legacy.created_at ? new Date(legacy.created_at) : null,
     url: `https://x.com/${author}/status/${tweetData.rest_id}`,
     isReply: !!legacy.in_reply_to_status_id_str,
+    inReplyToId: legacy.in_reply_to_status_id_str ?? null,
     isRetweet: !!legacy.retweeted_status_id_str,
     hashtags: legacy.entities?.hashtags?.map(h => h.text) ?? [],
     mentions: legacy.entities?.user_mentions?.map(m => m.screen_name) ?? [],
+    lang: tweetLanguage(legacy.lang, legacy.full_text),
   }
 }
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)) }
@@ -0,0 +1,221 @@
+/**
+ * Voice profile — how our own account writes, learned from its past tweets.
+ *
+ * `npm run voice` fetches the account's recent tweets (settings.username or
+ * --username), keeps the best-performing ones as examples — posts and
+ * replies separately — and measures a few habits: length, punctuation, emoji,
+ * hashtags, capitalisation, line breaks. The profile is saved to
+ * data/voice.json. With settings.voice.enabled, every generation prompt gets
+ * the habits plus a handful of examples, so drafts sound like the account
+ * rather than like the model.
+ *
+ * Run: npm run voice -- [--username handle] [--count 100] [--json]
+ */
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import chalk from 'chalk'
+import { option } from './cli.js'
+import { getAccountTweets } from './twitter.js'
+import logger from './logger.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const VOICE_PATH = path.join(__dirname, '../data/voice.json')
+
+const DEFAULTS = {
+  enabled: false,
+  fetchCount: 100,
+  keepExamples: 12,
+  examplesPerPrompt: 5,
+}
+
+// Views below this count as this many when ranking, so a tweet seen by
+// five people with one like doesn't top the list
+const MIN_VIEWS = 100
+const MIN_LENGTH = 20
+
+const EMOJI = /\p{Extended_Pictographic}/gu
+const HAS_EMOJI = /\p{Extended_Pictographic}/u
+
+let rules = { ...DEFAULTS }
+let profile = null
+
+/**
+ * Apply settings.voice and load data/voice.json when enabled.
+ * @param {object} [settings] - settings.voice
+ */
+export function configureVoice(settings = {}) {
+  rules = { ...DEFAULTS, ...settings }
+  profile = null
+  if (!rules.enabled) return
+
+  if (!fs.existsSync(VOICE_PATH)) {
+    logger.warn('Voice: enabled but no profile yet — run npm run voice')
+    return
+  }
+  try {
+    profile = JSON.parse(fs.readFileSync(VOICE_PATH, 'utf-8'))
+  } catch (err) {
+    throw new Error(`Voice: can't read ${VOICE_PATH} (${err.message}) — run npm run voice to rebuild it`)
+  }
+  logger.info(`Voice: using @${profile.username}'s profile from ${new Date(profile.builtAt).toLocaleDateString()} (${profile.tweetCount} tweets)`)
+}
+
+/**
+ * Build the voice-profile prompt section. Returns empty string if there is no profile.
+ * @param {'post'|'reply'} kind - Which examples to show; replies fall back to posts
+ */
+export function voiceInstruction(kind) {
+  if (!profile) return ''
+  const replies  = kind === 'reply' && profile.examples.reply.length > 0
+  const examples = (replies ? profile.examples.reply : profile.examples.post).slice(0, rules.examplesPerPrompt)
+
+  const traits = describeTraits(profile.traits).map(t => `- ${t}`).join('\n')
+  const shown  = examples.map(e => `- ${e.text.replace(/\n/g, '\n  ')}`).join('\n')
+  return `\n\nWrite in this account's own voice:\n${traits}` +
+    (examples.length ? `\nPast ${replies ? 'replies' : 'tweets'} from this account (match the voice, never reuse the content):\n${shown}` : '')
+}
+
+/**
+ * Turn an account's tweets into a voice profile.
+ * @param {string}   username
+ * @param {object[]} tweets   - From getAccountTweets
+ * @param {object}   [opts]   - settings.voice
+ * @returns {{ username: string, builtAt: string, tweetCount: number, traits: object, examples: { post: object[], reply: object[] } }}
+ */
+export function buildVoiceProfile(username, tweets, opts = {}) {
+  const { keepExamples } = { ...DEFAULTS, ...opts }
+  const own = tweets
+    .filter(t => !t.isRetweet && t.author.toLowerCase() === username.toLowerCase())
+    .map(t => ({ ...t, text: cleanText(t.text) }))
+    .filter(t => t.text.length >= MIN_LENGTH)
+
+  const top = list => [...list]
+    .sort((a, b) => rate(b) - rate(a))
+    .slice(0, keepExamples)
+    .map(t => ({ text: t.text, likes: t.likes, retweets: t.retweets, replies: t.replies, views: t.views }))
+
+  return {
+    username,
+    builtAt: new Date().toISOString(),
+    tweetCount: own.length,
+    traits: measureTraits(own.map(t => t.text)),
+    examples: {
+      post:  top(own.filter(t => !t.isReply)),
+      reply: top(own.filter(t => t.isReply)),
+    },
+  }
+}
+
+/**
+ * Readable lines for the measured habits.
+ * @param {object} traits - profile.traits
+ * @returns {string[]}
+ */
+export function describeTraits(traits) {
+  const lines = [`Length: usually ${traits.length.p25}–${traits.length.p75} characters (median ${traits.length.median})`]
+
+  lines.push(traits.emoji.share < 0.1
+    ? 'Emoji: almost never'
+    : `Emoji: in ${pct(traits.emoji.share)} of tweets${traits.emoji.favorites.length ? `, mostly ${traits.emoji.favorites.join(' ')}` : ''}`)
+  lines.push(traits.hashtags.share < 0.1 ? 'Hashtags: almost never' : `Hashtags: in ${pct(traits.hashtags.share)} of tweets`)
+  lines.push(`Punctuation: ${[
+    `${pct(traits.questions)} end with a question`,
+    `${pct(traits.exclamations)} use "!"`,
+    traits.dashes >= 0.1 && `${pct(traits.dashes)} use dashes`,
+    traits.ellipses >= 0.1 && `${pct(traits.ellipses)} use "…"`,
+  ].filter(Boolean).join(', ')}`)
+  if (traits.lowercaseStart >= 0.3) lines.push(`Capitalisation: ${pct(traits.lowercaseStart)} start in lowercase`)
+  if (traits.lineBreaks >= 0.2) lines.push(`Line breaks: in ${pct(traits.lineBreaks)} of tweets`)
+  return lines
+}
+
+// ── Command ──────────────────────────────────────────────────────
+
+/**
+ * Fetch our tweets, build the profile and save it to data/voice.json.
+ * @param {string[]} args     - process.argv after the script name
+ * @param {object}   settings - Bot settings (uses settings.username and settings.voice)
+ */
+export async function runVoice(args, settings) {
+  const opts = { ...DEFAULTS, ...settings.voice }
+  const username = (option(args, '--username') ?? settings.username ?? '').replace(/^@/, '')
+  if (!username) throw new Error('Voice: no account — set username in settings.json or pass --username')
+
+  const tweets = await getAccountTweets(username, Number(option(args, '--count') ?? opts.fetchCount))
+    .catch(err => { throw new Error(`Voice: can't fetch @${username}'s tweets — ${err.message}`) })
+  const built = buildVoiceProfile(username, tweets, opts)
+  if (!built.tweetCount) throw new Error(`Voice: no usable tweets from @${username} — nothing saved`)
+
+  fs.mkdirSync(path.dirname(VOICE_PATH), { recursive: true })
+  fs.writeFileSync(VOICE_PATH, JSON.stringify(built, null, 2))
+  logger.info(`Voice: saved profile of @${username} from ${built.tweetCount} tweets`)
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(built, null, 2))
+    return
+  }
+
+  console.log()
+  console.log(chalk.bold(`  Voice of @${username}`) + chalk.dim(` — ${built.tweetCount} tweet(s)`))
+  console.log()
+  for (const line of describeTraits(built.traits)) console.log(`  ${line}`)
+
+  for (const [kind, title] of [['post', 'Top posts'], ['reply', 'Top replies']]) {
+    if (!built.examples[kind].length) continue
+    console.log()
+    console.log(chalk.cyan(`  ${title}`))
+    for (const e of built.examples[kind].slice(0, opts.examplesPerPrompt)) {
+      console.log(`  ${chalk.dim(`${e.likes}❤️ ${e.retweets}🔁 ${e.views}👁`.padEnd(22))} ${e.text.replace(/\s+/g, ' ')}`)
+    }
+  }
+  console.log(chalk.dim(`\n  Saved to data/voice.json. ${opts.enabled ? 'Used by every generation prompt.' : 'Set voice.enabled in settings.json to use it.'}`))
+}
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+// Drop the leading @mentions X puts on replies and the t.co links it appends
+function cleanText(text) {
+  return text
+    .replace(/^(@\w+\s+)+/, '')
+    .replace(/\s*https:\/\/t\.co\/\w+/g, '')
+    .trim()
+}
+
+function rate(t) {
+  return (t.likes + t.retweets + t.replies) / Math.max(t.views, MIN_VIEWS)
+}
+
+function measureTraits(texts) {
+  const share = test => texts.length ? round(texts.filter(test).length / texts.length) : 0
+  const lengths = texts.map(t => [...t].length).sort((a, b) => a - b)
+  const at = q => lengths.length ? lengths[Math.min(lengths.length - 1, Math.floor(q * lengths.length))] : 0
+
+  const emojiCounts = new Map()
+  for (const text of texts) {
+    for (const e of text.match(EMOJI) ?? []) emojiCounts.set(e, (emojiCounts.get(e) ?? 0) + 1)
+  }
+
+  return {
+    length: { median: at(0.5), p25: at(0.25), p75: at(0.75) },
+    emoji: {
+      share: share(t => HAS_EMOJI.test(t)),
+      favorites: [...emojiCounts].sort((a, b) => b[1] - a[1]).slice(0, 3).map(([e]) => e),
+    },
+    hashtags:       { share: share(t => /(^|\s)#\w/.test(t)) },
+    questions:      share(t => t.trimEnd().endsWith('?')),
+    exclamations:   share(t => t.includes('!')),
+    dashes:         share(t => /—|–| - /.test(t)),
+    ellipses:       share(t => /…|\.\.\./.test(t)),
+    lowercaseStart: share(t => /^\p{Ll}/u.test(t)),
+    lineBreaks:     share(t => t.includes('\n')),
+  }
+}
+
+function pct(share) {
+  return `${Math.round(share * 100)}%`
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100
+}
@@ -0,0 +1,45 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { configureDuplicates, duplicateRules, similarity, describeDuplicate, findDuplicate } from '../src/duplicates.js'
+
+const DAY = 24 * 60 * 60 * 1000
+
+test('configureDuplicates keeps the defaults it is not given', () => {
+  configureDuplicates({ threshold: 0.6, embeddings: { enabled: true } })
+  const r = duplicateRules()
+  assert.equal(r.threshold, 0.6)
+  assert.equal(r.ngram, 2)
+  assert.equal(r.embeddings.enabled, true)
+  assert.equal(r.embeddings.model, 'text-embedding-3-small')
+  configureDuplicates()
+})
+
+test('configureDuplicates rejects an unknown onDuplicate', () => {
+  assert.throws(() => configureDuplicates({ onDuplicate: 'ignore' }), /onDuplicate must be "regenerate" or "warn"/)
+  configureDuplicates()
+})
+
+test('similarity ignores case, punctuation, links and mentions', () => {
+  assert.equal(similarity('Ship it. @bob https://t.co/x', 'ship IT!'), 1)
+  assert.equal(similarity('a b c', 'x y z'), 0)
+  assert.equal(similarity('a b c', 'a b d'), 1 / 3)
+})
+
+test('similarity treats texts shorter than n words as one shingle', () => {
+  assert.equal(similarity('hello', 'Hello!', 3), 1)
+  assert.equal(similarity('', 'hello'), 0)
+})
+
+test('describeDuplicate shows the score, age and a shortened text', () => {
+  const at = new Date(Date.now() - 3 * DAY - 1000).toISOString()
+  const text = 'x'.repeat(120)
+  assert.equal(describeDuplicate({ score: 0.823, type: 'tweet', at, text }), `82% like your tweet from 3 days ago: "${'x'.repeat(100)}…"`)
+  assert.match(describeDuplicate({ score: 0.5, type: 'reply', at: new Date().toISOString(), text: 'hi' }), /from today/)
+})
+
+test('findDuplicate checks nothing when disabled or given no text', async () => {
+  assert.equal(await findDuplicate(''), null)
+  configureDuplicates({ enabled: false })
+  assert.equal(await findDuplicate('anything'), null)
+  configureDuplicates()
+})
@@ -0,0 +1,74 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { filterRules, applyFilters, validateFilters, describeDropped } from '../src/filters.js'
+import logger from '../src/logger.js'
+
+const HOUR = 60 * 60 * 1000
+
+const tweet = (fields = {}) => ({ id: String(Math.random()), author: 'someone', text: 'hello world', lang: 'en', createdAt: new Date(), ...fields })
+
+test('filterRules adds topic block lists to the global ones and replaces everything else', () => {
+  const settings = { username: '@me', filters: { blockAuthors: ['spam'], minFollowers: 100, languages: ['en'] } }
+  const r = filterRules(settings, { languages: ['de'], filters: { blockAuthors: ['troll'], minFollowers: 10 } })
+  assert.deepEqual(r.blockAuthors, ['spam', 'troll'])
+  assert.equal(r.minFollowers, 10)
+  assert.deepEqual(r.languages, ['de'])
+  assert.equal(r.username, '@me')
+})
+
+test('applyFilters counts each dropped tweet against the first filter it fails', () => {
+  const rules = filterRules({
+    username: 'me',
+    filters: { blockAuthors: ['@Spam'], excludeReplies: true, minFollowers: 50, languages: ['en'], forbidKeywords: ['giveaway'], maxAgeHours: 24 },
+  })
+  const { kept, dropped } = applyFilters([
+    tweet({ author: 'Me' }),
+    tweet({ author: 'spam', isReply: true }),
+    tweet({ isReply: true }),
+    tweet({ authorFollowers: 10 }),
+    tweet({ lang: 'fr' }),
+    tweet({ text: 'Huge GIVEAWAY' }),
+    tweet({ createdAt: new Date(Date.now() - 48 * HOUR) }),
+    tweet({ id: 'ok', authorFollowers: null, lang: 'und' }),
+  ], rules)
+
+  assert.deepEqual(kept.map(t => t.id), ['ok'])
+  assert.deepEqual(dropped, { own: 1, blocked: 1, reply: 1, followers: 1, language: 1, forbidden: 1, age: 1 })
+  assert.equal(describeDropped(dropped), 'own 1 · blocked 1 · reply 1 · followers 1 · language 1 · forbidden 1 · age 1')
+})
+
+test('applyFilters keeps only allowed authors and required keywords when those lists are set', () => {
+  const rules = filterRules({ filters: { allowAuthors: ['karpathy'], requireKeywords: ['agent'] } })
+  const { kept, dropped } = applyFilters([
+    tweet({ id: 'a', author: 'Karpathy', text: 'On Agents' }),
+    tweet({ author: 'karpathy', text: 'on cooking' }),
+    tweet({ author: 'other', text: 'agents' }),
+  ], rules)
+  assert.deepEqual(kept.map(t => t.id), ['a'])
+  assert.deepEqual(dropped, { required: 1, notAllowed: 1 })
+})
+
+test('validateFilters lists every problem', () => {
+  assert.doesNotThrow(() => validateFilters({ username: 'me', filters: { minFollowers: 0, maxAgeHours: null } }, [{ name: 't', languages: ['en', 'pt-BR'] }]))
+  assert.throws(
+    () => validateFilters({ filters: { minFolowers: 5, blockAuthors: 'spam', maxAgeHours: 0 } }, [{ name: 't', languages: [] }]),
+    err => {
+      assert.match(err.message, /^Invalid filter settings:/)
+      assert.match(err.message, /unknown filter "minFolowers"/)
+      assert.match(err.message, /blockAuthors must be a list of strings/)
+      assert.match(err.message, /maxAgeHours must be above 0/)
+      assert.match(err.message, /topic "t": languages must be a non-empty list/)
+      return true
+    },
+  )
+})
+
+test('validateFilters warns when skipOwn is on without a username', t => {
+  const warn = t.mock.method(logger, 'warn', () => {})
+  validateFilters({ username: 'me' }, [{ name: 't' }])
+  validateFilters({ filters: { skipOwn: false } }, [{ name: 't' }])
+  assert.equal(warn.mock.callCount(), 0)
+  validateFilters({ filters: { skipOwn: false } }, [{ name: 't', filters: { skipOwn: true } }])
+  assert.equal(warn.mock.callCount(), 1)
+  assert.match(warn.mock.calls[0].arguments[0], /skipOwn is on but settings.username is not set/)
+})
@@ -0,0 +1,68 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { configureGuardrails, checkWrite } from '../src/guardrails.js'
+
+// "HH:MM" in UTC, offset from now
+const utc = (offsetMinutes) => new Date(Date.now() + offsetMinutes * 60_000).toISOString().slice(11, 16)
+
+afterEach(() => configureGuardrails())
+
+test('configureGuardrails accepts the shipped settings shape', () => {
+  assert.doesNotThrow(() => configureGuardrails({
+    timezone: 'Europe/Berlin',
+    quietHours: { start: '23:30', end: '7:00' },
+    perDay: { tweet: 6, like: 0, unretweet: 5 },
+    perHour: { reply: 6 },
+    minGapBetweenPostsMs: 600000,
+    maxGapWaitMs: 0,
+    jitterMs: [0, 0],
+    _note: 'ignored',
+  }))
+})
+
+test('configureGuardrails lists every problem instead of switching a guardrail off', () => {
+  assert.throws(
+    () => configureGuardrails({
+      quiteHours: {},
+      perDay: { twet: 3, reply: -1 },
+      perHour: [],
+      quietHours: { start: '25:00', end: '07:00' },
+      timezone: 'Mars/Olympus',
+      maxGapWaitMs: '60000',
+      jitterMs: [5000, 1000],
+    }),
+    err => {
+      assert.match(err.message, /^Invalid guardrail settings:/)
+      assert.match(err.message, /unknown option "quiteHours"/)
+      assert.match(err.message, /perDay: unknown action "twet"/)
+      assert.match(err.message, /perDay.reply must be a whole number ≥ 0/)
+      assert.match(err.message, /perHour must be an object/)
+      assert.match(err.message, /quietHours must be \{ "start": "HH:MM", "end": "HH:MM" \}/)
+      assert.match(err.message, /unknown time zone "Mars\/Olympus"/)
+      assert.match(err.message, /maxGapWaitMs must be a number ≥ 0/)
+      assert.match(err.message, /jitterMs must be \[min, max\]/)
+      return true
+    },
+  )
+})
+
+test('a rejected configuration leaves the previous rules in place', () => {
+  configureGuardrails({ timezone: 'UTC', quietHours: { start: utc(-60), end: utc(60) } })
+  assert.throws(() => configureGuardrails({ perDay: { tweet: -1 } }))
+  assert.equal(checkWrite('like').ok, false)
+})
+
+test('checkWrite blocks every kind but thread parts during quiet hours', () => {
+  configureGuardrails({ timezone: 'UTC', quietHours: { start: utc(-60), end: utc(60) } })
+  const check = checkWrite('like')
+  assert.equal(check.ok, false)
+  assert.match(check.reason, /^quiet hours \(.+ UTC\)$/)
+  assert.equal(checkWrite('threadPart').ok, true)
+})
+
+test('checkWrite allows writes outside quiet hours, also when the window wraps past midnight', () => {
+  configureGuardrails({ timezone: 'UTC', quietHours: { start: utc(60), end: utc(-60) } })
+  assert.equal(checkWrite('like').ok, true)
+  configureGuardrails({ timezone: 'UTC', quietHours: { start: utc(60), end: utc(120) } })
+  assert.equal(checkWrite('bookmark').ok, true)
+})
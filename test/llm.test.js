@@ -0,0 +1,28 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { configureLLM, validateTopicAI } from '../src/llm.js'
+
+test('validateTopicAI accepts overrides that use configured providers', () => {
+  configureLLM({ providers: { local: { type: 'openai', baseURL: 'http://localhost:11434/v1' } } })
+  assert.doesNotThrow(() => validateTopicAI([
+    { name: 'a' },
+    { name: 'b', ai: { reply: { model: 'gpt-4o' }, quote: { provider: 'local', model: 'llama3' } } },
+  ]))
+})
+
+test('validateTopicAI lists every problem', () => {
+  configureLLM({})
+  assert.throws(
+    () => validateTopicAI([
+      { name: 'a', ai: { reply: { provider: 'anthropc' } } },
+      { name: 'b', ai: { replies: { model: 'gpt-4o' }, tweet: 'gpt-4o' } },
+    ]),
+    err => {
+      assert.match(err.message, /^Invalid topic ai settings:/)
+      assert.match(err.message, /topic "a": ai.reply uses unknown provider "anthropc"/)
+      assert.match(err.message, /topic "b": unknown ai action "replies"/)
+      assert.match(err.message, /topic "b": ai.tweet must be an object/)
+      return true
+    },
+  )
+})
@@ -0,0 +1,59 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { scoringRules, scoreTweet, rankTweets, describeScore, validateScoring } from '../src/scoring.js'
+
+const HOUR = 60 * 60 * 1000
+const NOW = Date.parse('2026-01-01T12:00:00Z')
+
+test('scoringRules merges weights and thresholds field by field', () => {
+  const r = scoringRules({ scoring: { weights: { likes: 3 }, halfLifeHours: 12 } }, { scoring: { weights: { replies: 0 }, thresholds: { quote: 50 } } })
+  assert.deepEqual(r.weights, { likes: 3, retweets: 2, replies: 0, velocity: 2, viewRate: 1 })
+  assert.deepEqual(r.thresholds, { reply: 0, quote: 50 })
+  assert.equal(r.halfLifeHours, 12)
+})
+
+test('scoreTweet adds velocity and view rate to engagement, then decays by age', () => {
+  const rules = scoringRules({})
+  const s = scoreTweet({ likes: 10, retweets: 5, replies: 4, views: 10_000, createdAt: new Date(NOW - 24 * HOUR) }, rules, NOW)
+  assert.equal(s.engagement, 10 + 5 * 2 + 4 * 1.5)
+  assert.equal(s.ageHours, 24)
+  assert.equal(s.velocity, 26 / 24)
+  assert.equal(s.viewRate, 26 / 10_000 * 1000)
+  assert.equal(s.decay, 0.5)
+  assert.equal(s.score, (26 + 2 * s.velocity + s.viewRate) * 0.5)
+})
+
+test('scoreTweet floors age and views, and skips decay when the age is unknown', () => {
+  const rules = scoringRules({})
+  const fresh = scoreTweet({ likes: 10, views: 5, createdAt: new Date(NOW - 60_000) }, rules, NOW)
+  assert.equal(fresh.velocity, 10)
+  assert.equal(fresh.viewRate, 10 / 100 * 1000)
+
+  const undated = scoreTweet({ likes: 10 }, rules, NOW)
+  assert.equal(undated.ageHours, null)
+  assert.equal(undated.velocity, 0)
+  assert.equal(undated.decay, 1)
+  assert.equal(undated.score, 10)
+})
+
+test('rankTweets sorts best first and describeScore explains the result', () => {
+  const rules = scoringRules({ scoring: { halfLifeHours: null } })
+  const ranked = rankTweets([{ author: 'low', likes: 1 }, { author: 'high', likes: 100 }], rules)
+  assert.deepEqual(ranked.map(s => s.tweet.author), ['high', 'low'])
+  assert.equal(describeScore(ranked[0], rules), '@high 100 = (100 engagement + 2 × 0.0/h + 1 × 0.0/1k views) × 1.00 (age unknown)')
+})
+
+test('validateScoring lists every problem', () => {
+  assert.doesNotThrow(() => validateScoring({ scoring: { weights: { likes: 2 }, halfLifeHours: null } }))
+  assert.throws(
+    () => validateScoring({ scoring: { weights: { hearts: 1, likes: -1 } } }, [{ name: 't', scoring: { thresholds: { like: 1 }, halfLifeHours: 0 } }]),
+    err => {
+      assert.match(err.message, /^Invalid scoring settings:/)
+      assert.match(err.message, /unknown weight "hearts"/)
+      assert.match(err.message, /weights.likes must be a number ≥ 0/)
+      assert.match(err.message, /topic "t" scoring: unknown threshold "like"/)
+      assert.match(err.message, /halfLifeHours must be above 0/)
+      return true
+    },
+  )
+})
@@ -0,0 +1,50 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { searchRules, buildSearchQuery, validateSearch } from '../src/search.js'
+
+const rules = (search = {}) => searchRules({ search })
+
+test('searchRules layers the topic over settings and falls back to tweetsPerSearch', () => {
+  const r = searchRules({ tweetsPerSearch: 40, search: { mode: 'latest', minFaves: 10 } }, { search: { minFaves: 50 } })
+  assert.equal(r.mode, 'latest')
+  assert.equal(r.minFaves, 50)
+  assert.equal(r.count, 40)
+  assert.equal(searchRules({}).count, 20)
+})
+
+test('buildSearchQuery adds the operators the rules ask for', () => {
+  const q = buildSearchQuery('LLM agents', rules({ from: ['@karpathy', 'ylecun'], minFaves: 20, minRetweets: 5, excludeReplies: true, media: true }), ['en'])
+  assert.equal(q, 'LLM agents (from:karpathy OR from:ylecun) lang:en min_faves:20 min_retweets:5 -filter:replies filter:media')
+})
+
+test('buildSearchQuery leaves operators the query already has alone', () => {
+  const q = buildSearchQuery('from:sama -filter:replies lang:de', rules({ from: ['karpathy'], excludeReplies: true }), ['en'])
+  assert.equal(q, 'from:sama -filter:replies lang:de')
+})
+
+test('buildSearchQuery turns a relative since into since_time', () => {
+  const q = buildSearchQuery('AI', rules({ since: '2d' }))
+  const at = Number(q.match(/since_time:(\d+)/)[1])
+  assert.ok(Math.abs(at - (Date.now() - 2 * 86_400_000) / 1000) < 5)
+})
+
+test('buildSearchQuery only treats real time operators as an existing bound', () => {
+  assert.match(buildSearchQuery('what changed since launch until now', rules({ since: '1d', until: '1h' })), /since_time:\d+ until_time:\d+$/)
+  assert.doesNotMatch(buildSearchQuery('AI since:2025-01-01', rules({ since: '1d' })), /since_time:/)
+  assert.doesNotMatch(buildSearchQuery('AI since_time:1700000000', rules({ since: '1d' })), /since_time:\d+ since_time:/)
+})
+
+test('validateSearch lists every problem', () => {
+  assert.doesNotThrow(() => validateSearch({ search: { mode: 'top', since: '7d' } }, [{ name: 'a', search: { count: 30 } }]))
+  assert.throws(
+    () => validateSearch({ search: { mode: 'newest', maxPages: 0 }, fetchConcurrency: 0 }, [{ name: 'a', search: { since: 'soon' } }]),
+    err => {
+      assert.match(err.message, /^Invalid search settings:/)
+      assert.match(err.message, /mode must be top or latest/)
+      assert.match(err.message, /maxPages must be a whole number ≥ 1/)
+      assert.match(err.message, /fetchConcurrency must be a whole number ≥ 1/)
+      assert.match(err.message, /topic "a" search: since must be like/)
+      return true
+    },
+  )
+})